@@ -13,6 +13,18 @@
 const appRoot = document.getElementById('app-root');
 /** @type {HTMLElement} Contenedor del indicador de carga, mostrado durante la navegación. */
 const loaderContainer = document.getElementById('loader-container');
+/** @type {number|null} Plazo (ms) durante el que un autor puede editar sus mensajes; null hasta que la API lo devuelve. */
+let messageEditWindowMs = null;
+/**
+ * @type {Promise<object|null>} Módulo del dialecto de marcado. Se importa desde aquí, y no con una etiqueta `<script>`,
+ * para que `renderPage` lo espere y ningún mensaje se pinte antes de que esté disponible. Resuelve a null si falla la carga.
+ */
+const markupReady = import('/js/shared/markup.js').catch((error) => {
+    console.error('No se pudo cargar el módulo de marcado; los mensajes se mostrarán como texto plano:', error);
+    return null;
+});
+/** @type {object|null} Módulo del dialecto de marcado una vez cargado (ver `markupReady`). */
+let agoraMarkup = null;
 
 
 // ===================================
@@ -92,6 +104,9 @@ function createMessageCard(message, currentUser) {
     const author = message.sender || { username: 'Usuario Eliminado', profilePicturePath: '/images/user_img/default-avatar.webp', _id: null };
     const { _id: authorId, username: authorUsername, profilePicturePath: authorAvatar } = author;
 
+    const isStaffUser = !!currentUser && (currentUser.role === 'admin' || currentUser.role === 'moderator');
+    const isAuthor = !!currentUser && !!message.sender && currentUser._id === message.sender._id;
+
     // Se preparan los contadores y clases CSS.
     const replyCount = message.replyCount !== undefined ? message.replyCount : (message.replies ? message.replies.length : 0);
     const likeCount = message.likeCount !== undefined ? message.likeCount : (message.likes ? message.likes.length : 0);
@@ -171,16 +186,38 @@ function createMessageCard(message, currentUser) {
         cardBody.appendChild(replyToInfo);
     }
 
+    if (message.category && !message.referencedMessage) {
+        const categoryLink = document.createElement('a');
+        categoryLink.href = `/c/${encodeURIComponent(message.category.slug)}`;
+        categoryLink.className = 'message-category-link';
+        categoryLink.textContent = message.category.name;
+        cardBody.appendChild(categoryLink);
+    }
+
     const title = document.createElement('h4');
     title.className = 'message-title';
     title.textContent = message.title;
     cardBody.appendChild(title);
 
-    const content = document.createElement('p');
+    const content = document.createElement('div');
     content.className = 'message-content';
-    content.textContent = message.content;
+    // El contenido se construye nodo a nodo a partir del árbol ya saneado, nunca con innerHTML.
+    if (agoraMarkup) {
+        content.appendChild(agoraMarkup.renderMarkupFragment(message.content));
+    } else {
+        content.textContent = message.content;
+    }
     cardBody.appendChild(content);
 
+    if (message.editedAt) {
+        // El personal de moderación puede abrir el historial de revisiones desde la propia marca.
+        const editedMarker = document.createElement(isStaffUser ? 'button' : 'small');
+        editedMarker.className = isStaffUser ? 'edited-marker view-revisions-btn' : 'edited-marker';
+        editedMarker.title = `Editado el ${new Date(message.editedAt).toLocaleString('es-ES')}`;
+        editedMarker.textContent = isStaffUser ? 'editado · ver cambios' : 'editado';
+        cardBody.appendChild(editedMarker);
+    }
+
     card.appendChild(cardBody);
     
     // --- Construcción del Pie de la Tarjeta ---
@@ -208,6 +245,14 @@ function createMessageCard(message, currentUser) {
     const footerActions = document.createElement('div');
     footerActions.className = 'footer-actions';
     
+    if (currentUser) {
+        const bookmarkButton = document.createElement('button');
+        bookmarkButton.className = 'bookmark-message-btn button--icon';
+        bookmarkButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-bookmark"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>`;
+        setBookmarkState(bookmarkButton, !!message.isBookmarked);
+        footerActions.appendChild(bookmarkButton);
+    }
+
     const canReport = currentUser && message.sender && currentUser._id !== message.sender._id;
     if (canReport) {
         const reportButton = document.createElement('button');
@@ -224,11 +269,19 @@ function createMessageCard(message, currentUser) {
         footerActions.appendChild(reportButton);
     }
 
-    const canDelete = currentUser && (
-        currentUser.role === 'admin' ||
-        currentUser.role === 'moderator' ||
-        (message.sender && currentUser._id === message.sender._id)
-    );
+    const canEdit = isStaffUser || (isAuthor && (
+        messageEditWindowMs === null || Date.now() - new Date(message.createdAt).getTime() < messageEditWindowMs
+    ));
+
+    if (canEdit) {
+        const editButton = document.createElement('button');
+        editButton.className = 'edit-message-btn button--icon';
+        editButton.title = 'Editar mensaje';
+        editButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-edit-2"><path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"/></svg>`;
+        footerActions.appendChild(editButton);
+    }
+
+    const canDelete = isStaffUser || isAuthor;
 
     if (canDelete) {
         const deleteButton = document.createElement('button');
@@ -247,6 +300,43 @@ function createMessageCard(message, currentUser) {
     return card;
 }
 
+/**
+ * @function setBookmarkState
+ * @description Refleja en el botón de guardado si el mensaje está entre los guardados del usuario.
+ * @param {HTMLButtonElement} button - El botón `.bookmark-message-btn` de la tarjeta.
+ * @param {boolean} isBookmarked - Si el mensaje está guardado.
+ */
+function setBookmarkState(button, isBookmarked) {
+    button.classList.toggle('bookmarked', isBookmarked);
+    button.title = isBookmarked ? 'Quitar de guardados' : 'Guardar mensaje';
+    button.setAttribute('aria-pressed', String(isBookmarked));
+}
+
+/**
+ * @function toggleBookmark
+ * @description Guarda o quita de guardados el mensaje de la tarjeta a la que pertenece el botón,
+ * según su estado actual, y actualiza el botón con la respuesta del servidor.
+ * @param {HTMLButtonElement} button - El botón `.bookmark-message-btn` pulsado.
+ * @returns {Promise<boolean|null>} El nuevo estado de guardado, o null si la petición ha fallado.
+ */
+async function toggleBookmark(button) {
+    const messageId = button.closest('[data-message-id]').getAttribute('data-message-id');
+    const method = button.classList.contains('bookmarked') ? 'DELETE' : 'POST';
+    button.disabled = true;
+    try {
+        const response = await fetch(`/api/messages/${messageId}/bookmark`, { method });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'No se pudo actualizar el mensaje guardado.');
+        setBookmarkState(button, data.isBookmarked);
+        return data.isBookmarked;
+    } catch (error) {
+        alert(error.message);
+        return null;
+    } finally {
+        button.disabled = false;
+    }
+}
+
 /**
  * @function createUserCard
  * @description Crea y devuelve un elemento del DOM que representa una tarjeta de perfil de usuario simplificada para los resultados de búsqueda.
@@ -278,6 +368,762 @@ function createUserCard(user) {
 }
 
 
+/**
+ * @function setFollowState
+ * @description Refleja en un botón de seguimiento si el usuario sigue o no al usuario o hashtag asociado.
+ * @param {HTMLButtonElement} button - El botón `.follow-btn`; su `data-label` se añade al texto (ej. " #tag").
+ * @param {boolean} isFollowing - Si se está siguiendo.
+ */
+function setFollowState(button, isFollowing) {
+    const label = button.dataset.label || '';
+    button.classList.toggle('following', isFollowing);
+    button.textContent = isFollowing ? `Dejar de seguir${label}` : `Seguir${label}`;
+    button.setAttribute('aria-pressed', String(isFollowing));
+}
+
+/**
+ * @function createFollowButton
+ * @description Crea un botón para seguir o dejar de seguir a un usuario o un hashtag.
+ * @param {string} followUrl - El endpoint de seguimiento (ej. `/api/follows/users/ana`).
+ * @param {boolean} isFollowing - El estado inicial.
+ * @param {string} [label=''] - Texto que se añade tras "Seguir" / "Dejar de seguir".
+ * @returns {HTMLButtonElement} El botón listo para insertarse.
+ */
+function createFollowButton(followUrl, isFollowing, label = '') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button-primary follow-btn';
+    button.dataset.followUrl = followUrl;
+    button.dataset.label = label;
+    setFollowState(button, isFollowing);
+    return button;
+}
+
+/**
+ * @function toggleFollow
+ * @description Sigue o deja de seguir el objetivo del botón según su estado actual y actualiza el botón.
+ * @param {HTMLButtonElement} button - El botón `.follow-btn` pulsado.
+ * @returns {Promise<object|null>} La respuesta del servidor (`isFollowing` y, para usuarios, `followerCount`), o null si falla.
+ */
+async function toggleFollow(button) {
+    const method = button.classList.contains('following') ? 'DELETE' : 'POST';
+    button.disabled = true;
+    try {
+        const response = await fetch(button.dataset.followUrl, { method });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'No se pudo actualizar el seguimiento.');
+        setFollowState(button, data.isFollowing);
+        return data;
+    } catch (error) {
+        alert(error.message);
+        return null;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * @function renderProfileStats
+ * @description Pinta las estadísticas públicas de un perfil (seguidores, mensajes, respuestas, likes y hashtags más usados).
+ * @param {HTMLElement|null} container - El contenedor donde se insertan las estadísticas.
+ * @param {object|undefined} stats - El objeto `stats` devuelto por `/api/users/username/:username`.
+ */
+function renderProfileStats(container, stats) {
+    if (!container || !stats) return;
+    container.innerHTML = '';
+
+    [
+        ['Seguidores', stats.followerCount, 'followerCount'],
+        ['Siguiendo', stats.followingCount, 'followingCount'],
+        ['Mensajes', stats.messageCount],
+        ['Respuestas', stats.replyCount],
+        ['Respuestas recibidas', stats.repliesReceived],
+        ['Likes recibidos', stats.likesReceived],
+    ].filter(([, value]) => value !== undefined).forEach(([label, value, key]) => {
+        const stat = document.createElement('div');
+        stat.className = 'profile-stat';
+        if (key) stat.dataset.stat = key;
+        const number = document.createElement('strong');
+        number.textContent = value;
+        const text = document.createElement('span');
+        text.textContent = label;
+        stat.append(number, text);
+        container.appendChild(stat);
+    });
+
+    if (stats.topHashtags && stats.topHashtags.length > 0) {
+        const hashtags = document.createElement('p');
+        hashtags.className = 'profile-top-hashtags';
+        hashtags.appendChild(document.createTextNode('Hashtags favoritos: '));
+        stats.topHashtags.forEach(({ tag, count }) => {
+            const link = document.createElement('a');
+            link.href = `/home?q=${encodeURIComponent(`#${tag}`)}`;
+            link.textContent = `#${tag} (${count})`;
+            hashtags.append(link, document.createTextNode(' '));
+        });
+        container.appendChild(hashtags);
+    }
+}
+
+/**
+ * @function setupProfileActivity
+ * @description Carga la actividad paginada de un usuario (mensajes y respuestas) en la vista de perfil público
+ * y gestiona las pestañas de filtrado, el botón "Cargar más" y la navegación al detalle de cada mensaje.
+ * Las tarjetas se muestran en modo de solo lectura: las acciones se realizan desde la vista de detalle.
+ * @param {string} username - El nombre del usuario cuyo perfil se está viendo.
+ * @returns {Promise<void>} Una promesa que se resuelve cuando se ha cargado la primera página.
+ */
+async function setupProfileActivity(username) {
+    const container = document.getElementById('profile-activity-container');
+    const loader = document.getElementById('profile-activity-loader');
+    const emptyMsg = document.getElementById('profile-activity-empty');
+    const loadMoreBtn = document.getElementById('profile-activity-more');
+    const tabs = document.querySelectorAll('#profile-activity .activity-tab');
+    if (!container) return;
+
+    let type = 'all';
+    let page = 1;
+    let totalPages = 1;
+
+    const loadPage = async (reset = false) => {
+        if (reset) {
+            page = 1;
+            totalPages = 1;
+            container.innerHTML = '';
+        }
+        loadMoreBtn.classList.add('hidden');
+        emptyMsg.classList.add('hidden');
+        loader.classList.remove('hidden');
+
+        try {
+            const params = new URLSearchParams({ type, page });
+            const response = await fetch(`/api/users/username/${encodeURIComponent(username)}/messages?${params.toString()}`);
+            if (!response.ok) throw new Error('No se pudo cargar la actividad del usuario.');
+            const data = await response.json();
+
+            data.docs.forEach(message => container.appendChild(createMessageCard(message, null)));
+            totalPages = data.totalPages;
+            if (page === 1 && data.docs.length === 0) emptyMsg.classList.remove('hidden');
+            if (page < totalPages) loadMoreBtn.classList.remove('hidden');
+            page++;
+        } catch (error) {
+            container.innerHTML = `<p class="error-text">${error.message}</p>`;
+        } finally {
+            loader.classList.add('hidden');
+        }
+    };
+
+    tabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            tabs.forEach(t => t.classList.toggle('active', t === tab));
+            type = tab.dataset.type;
+            loadPage(true);
+        });
+    });
+    loadMoreBtn.addEventListener('click', () => loadPage(false));
+
+    container.addEventListener('click', async (event) => {
+        const hashtagLink = event.target.closest('.hashtag-link');
+        if (hashtagLink) {
+            event.preventDefault();
+            const searchUrl = `/home?q=${encodeURIComponent(hashtagLink.textContent)}`;
+            window.history.pushState({}, '', searchUrl);
+            await renderPage(searchUrl);
+            return;
+        }
+
+        const card = event.target.closest('.message-card');
+        if (!card || event.target.closest('a, button, svg')) return;
+        const detailUrl = `/messages/${card.getAttribute('data-message-id')}`;
+        window.history.pushState({}, '', detailUrl);
+        await renderPage(detailUrl);
+    });
+
+    await loadPage(true);
+}
+
+/**
+ * @function createUnavailableBookmarkCard
+ * @description Crea la tarjeta que ocupa el lugar de un mensaje guardado que ha sido eliminado u ocultado,
+ * con un botón para quitarlo de la lista de guardados.
+ * @param {string} messageId - El ID del mensaje guardado.
+ * @returns {HTMLDivElement} La tarjeta de marcador de posición.
+ */
+function createUnavailableBookmarkCard(messageId) {
+    const card = document.createElement('div');
+    card.className = 'message-card message-unavailable';
+    card.setAttribute('data-message-id', messageId);
+
+    const text = document.createElement('p');
+    text.textContent = 'Este mensaje ya no está disponible.';
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'bookmark-message-btn button--icon';
+    removeButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-bookmark"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>`;
+    setBookmarkState(removeButton, true);
+
+    card.append(text, removeButton);
+    return card;
+}
+
+/**
+ * @function setupOwnProfileLists
+ * @description Gestiona las pestañas "Mis mensajes" y "Guardados" del perfil propio: carga cada lista paginada,
+ * el botón "Cargar más", la acción de guardar o quitar de guardados y la navegación al detalle de cada mensaje.
+ * Los mensajes guardados que ya no existen se muestran como un marcador de posición que se puede quitar.
+ * @param {object} currentUser - El usuario logueado, tal y como lo devuelve `/api/profile`.
+ * @returns {Promise<void>} Una promesa que se resuelve cuando se ha cargado la primera página.
+ */
+async function setupOwnProfileLists(currentUser) {
+    const container = document.getElementById('profile-list-container');
+    const loader = document.getElementById('profile-list-loader');
+    const emptyMsg = document.getElementById('profile-list-empty');
+    const loadMoreBtn = document.getElementById('profile-list-more');
+    const tabs = document.querySelectorAll('#profile-lists .activity-tab');
+    if (!container) return;
+
+    const lists = {
+        activity: {
+            url: (page) => `/api/users/username/${encodeURIComponent(currentUser.username)}/messages?page=${page}`,
+            empty: 'Todavía no has publicado nada.',
+            render: (message) => createMessageCard(message, currentUser),
+        },
+        saved: {
+            url: (page) => `/api/profile/bookmarks?page=${page}`,
+            empty: 'No tienes mensajes guardados.',
+            render: (bookmark) => bookmark.message
+                ? createMessageCard(bookmark.message, currentUser)
+                : createUnavailableBookmarkCard(bookmark.messageId),
+        },
+    };
+
+    let list = 'activity';
+    let page = 1;
+    let totalPages = 1;
+
+    const loadPage = async (reset = false) => {
+        if (reset) {
+            page = 1;
+            totalPages = 1;
+            container.innerHTML = '';
+        }
+        loadMoreBtn.classList.add('hidden');
+        emptyMsg.classList.add('hidden');
+        loader.classList.remove('hidden');
+
+        const current = list;
+        try {
+            const response = await fetch(lists[current].url(page));
+            if (!response.ok) throw new Error('No se pudo cargar la lista.');
+            const data = await response.json();
+            if (current !== list) return;
+
+            data.docs.forEach(item => container.appendChild(lists[current].render(item)));
+            totalPages = data.totalPages;
+            if (page === 1 && data.docs.length === 0) {
+                emptyMsg.textContent = lists[current].empty;
+                emptyMsg.classList.remove('hidden');
+            }
+            if (page < totalPages) loadMoreBtn.classList.remove('hidden');
+            page++;
+        } catch (error) {
+            container.innerHTML = `<p class="error-text">${error.message}</p>`;
+        } finally {
+            loader.classList.add('hidden');
+        }
+    };
+
+    tabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            tabs.forEach(t => t.classList.toggle('active', t === tab));
+            list = tab.dataset.list;
+            loadPage(true);
+        });
+    });
+    loadMoreBtn.addEventListener('click', () => loadPage(false));
+
+    container.addEventListener('click', async (event) => {
+        const bookmarkButton = event.target.closest('.bookmark-message-btn');
+        if (bookmarkButton) {
+            const isBookmarked = await toggleBookmark(bookmarkButton);
+            const placeholder = bookmarkButton.closest('.message-unavailable');
+            if (isBookmarked === false && placeholder) placeholder.remove();
+            return;
+        }
+
+        const editButton = event.target.closest('.edit-message-btn');
+        if (editButton) {
+            const card = editButton.closest('.message-card');
+            await showEditModal(card.getAttribute('data-message-id'), (updated) => {
+                card.replaceWith(createMessageCard(updated, currentUser));
+            });
+            return;
+        }
+
+        const deleteButton = event.target.closest('.delete-message-btn');
+        if (deleteButton) {
+            const card = deleteButton.closest('.message-card');
+            showDeleteConfirmationModal(card.getAttribute('data-message-id'), card);
+            return;
+        }
+
+        const hashtagLink = event.target.closest('.hashtag-link');
+        if (hashtagLink) {
+            event.preventDefault();
+            const searchUrl = `/home?q=${encodeURIComponent(hashtagLink.textContent)}`;
+            window.history.pushState({}, '', searchUrl);
+            await renderPage(searchUrl);
+            return;
+        }
+
+        const card = event.target.closest('.message-card');
+        if (!card || card.classList.contains('message-unavailable') || event.target.closest('a, button, svg')) return;
+        const detailUrl = `/messages/${card.getAttribute('data-message-id')}`;
+        window.history.pushState({}, '', detailUrl);
+        await renderPage(detailUrl);
+    });
+
+    await loadPage(true);
+}
+
+/**
+ * @function setupRestrictionsManager
+ * @description Gestiona en el perfil propio las listas de usuarios silenciados y bloqueados:
+ * las pinta, permite añadir un usuario a cualquiera de ellas y quitarlo con su botón "Quitar".
+ * El servidor devuelve las listas actualizadas tras cada cambio.
+ * @returns {Promise<void>} Una promesa que se resuelve cuando se han cargado las listas.
+ */
+async function setupRestrictionsManager() {
+    const form = document.getElementById('restriction-form');
+    const errorEl = document.getElementById('restriction-error');
+    const lists = {
+        muted: document.getElementById('muted-users-list'),
+        blocked: document.getElementById('blocked-users-list'),
+    };
+    if (!form) return;
+
+    const renderLists = (data) => {
+        Object.entries(lists).forEach(([key, list]) => {
+            list.innerHTML = '';
+            if (data[key].length === 0) {
+                const empty = document.createElement('li');
+                empty.textContent = 'Nadie por ahora.';
+                list.appendChild(empty);
+                return;
+            }
+            data[key].forEach(user => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `/view-profile?username=${encodeURIComponent(user.username)}`;
+                link.textContent = `@${user.username}`;
+                const removeButton = document.createElement('button');
+                removeButton.type = 'button';
+                removeButton.className = 'button-secondary remove-restriction-btn';
+                removeButton.dataset.username = user.username;
+                removeButton.textContent = 'Quitar';
+                item.append(link, removeButton);
+                list.appendChild(item);
+            });
+        });
+    };
+
+    const request = async (url, options) => {
+        errorEl.classList.add('hidden');
+        try {
+            const response = await fetch(url, options);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'No se pudo actualizar la lista.');
+            renderLists(data);
+            return true;
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('hidden');
+            return false;
+        }
+    };
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const body = Object.fromEntries(new FormData(form).entries());
+        const saved = await request('/api/profile/restrictions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        if (saved) form.reset();
+    });
+
+    Object.values(lists).forEach(list => list.addEventListener('click', async (event) => {
+        const removeButton = event.target.closest('.remove-restriction-btn');
+        if (!removeButton) return;
+        removeButton.disabled = true;
+        await request(`/api/profile/restrictions/${encodeURIComponent(removeButton.dataset.username)}`, { method: 'DELETE' });
+    }));
+
+    await request('/api/profile/restrictions');
+}
+
+/** @type {number} Niveles de respuestas anidadas que se solicitan en cada carga del hilo. */
+const THREAD_DEPTH = 3;
+
+/**
+ * @function createThreadNode
+ * @description Crea el nodo de una respuesta dentro del hilo: su tarjeta, un botón para plegar o desplegar
+ * sus respuestas y el contenedor de sus respuestas anidadas, que se rellena de forma recursiva.
+ * @param {object} node - Respuesta serializada con `children` (respuestas anidadas) y `nextCursor`.
+ * @param {object|null} currentUser - El usuario logueado o null.
+ * @returns {HTMLDivElement} El elemento `div.thread-node` listo para insertarse.
+ */
+function createThreadNode(node, currentUser) {
+    const threadNode = document.createElement('div');
+    threadNode.className = 'thread-node';
+    threadNode.dataset.nodeId = node._id;
+
+    const replyWrapper = document.createElement('div');
+    replyWrapper.className = 'reply-wrapper';
+    replyWrapper.appendChild(createMessageCard(node, currentUser));
+    threadNode.appendChild(replyWrapper);
+
+    const children = document.createElement('div');
+    children.className = 'thread-children';
+
+    const toggle = document.createElement('button');
+    toggle.className = 'thread-toggle button--icon';
+    toggle.setAttribute('aria-expanded', 'true');
+    const updateToggle = () => {
+        const expanded = !children.classList.contains('hidden');
+        const count = children.querySelectorAll(':scope > .thread-node').length;
+        toggle.textContent = expanded ? `▾ Ocultar respuestas (${count})` : `▸ Mostrar respuestas (${count})`;
+        toggle.setAttribute('aria-expanded', String(expanded));
+        toggle.classList.toggle('hidden', count === 0);
+    };
+    toggle.addEventListener('click', () => {
+        children.classList.toggle('hidden');
+        updateToggle();
+    });
+    new MutationObserver(updateToggle).observe(children, { childList: true });
+
+    threadNode.append(toggle, children);
+
+    appendThreadNodes(children, node.children, currentUser);
+    if (node.nextCursor) {
+        children.appendChild(createThreadMoreButton(node._id, node.nextCursor, children, currentUser));
+    } else if (node.children.length === 0 && node.replyCount > 0) {
+        // Se alcanzó la profundidad máxima de la carga: la rama se expande bajo demanda.
+        children.appendChild(createThreadMoreButton(node._id, null, children, currentUser, node.replyCount));
+    }
+    updateToggle();
+
+    return threadNode;
+}
+
+/**
+ * @function appendThreadNodes
+ * @description Añade al contenedor un nodo de hilo por cada respuesta, antes del botón "cargar más" si existe.
+ * @param {HTMLElement} container - El contenedor de la rama (raíz del hilo o `.thread-children`).
+ * @param {object[]} nodes - Las respuestas serializadas a añadir.
+ * @param {object|null} currentUser - El usuario logueado o null.
+ */
+function appendThreadNodes(container, nodes, currentUser) {
+    const moreButton = container.querySelector(':scope > .thread-more');
+    nodes.forEach(node => container.insertBefore(createThreadNode(node, currentUser), moreButton));
+}
+
+/**
+ * @function createThreadMoreButton
+ * @description Crea el botón que carga la siguiente página de una rama del hilo usando su cursor.
+ * Sin cursor, carga la rama desde el principio (ramas más profundas que la carga inicial).
+ * @param {string} parentId - ID del mensaje cuyas respuestas se cargan.
+ * @param {string|null} cursor - Cursor de la siguiente página de la rama.
+ * @param {HTMLElement} container - Contenedor de la rama donde se insertan las respuestas.
+ * @param {object|null} currentUser - El usuario logueado o null.
+ * @param {number} [pendingCount] - Número de respuestas pendientes, para la etiqueta del botón.
+ * @returns {HTMLButtonElement} El botón listo para insertarse al final de la rama.
+ */
+function createThreadMoreButton(parentId, cursor, container, currentUser, pendingCount) {
+    const button = document.createElement('button');
+    button.className = 'thread-more button-secondary';
+    button.textContent = pendingCount ? `Ver ${pendingCount} respuesta${pendingCount === 1 ? '' : 's'}` : 'Cargar más respuestas';
+
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            const params = new URLSearchParams({ depth: THREAD_DEPTH });
+            if (cursor) params.set('cursor', cursor);
+            const response = await fetch(`/api/messages/${parentId}/thread?${params.toString()}`);
+            if (!response.ok) throw new Error('No se pudieron cargar las respuestas.');
+            const data = await response.json();
+
+            button.remove();
+            appendThreadNodes(container, data.replies, currentUser);
+            if (data.nextCursor) {
+                container.appendChild(createThreadMoreButton(parentId, data.nextCursor, container, currentUser));
+            }
+        } catch (error) {
+            console.error('Error al cargar la rama del hilo:', error);
+            button.disabled = false;
+        }
+    });
+    return button;
+}
+
+/** @type {Object<string, string>} Nombres legibles de los campos de cuenta que puede cambiar el equipo. */
+const ACCOUNT_FIELD_LABELS = { role: 'rol', userStatus: 'estado', strikes: 'strikes' };
+
+/**
+ * @function describeNotification
+ * @description Construye el texto y el enlace de destino de una notificación según su tipo.
+ * @param {object} notification - La notificación devuelta por `/api/notifications`.
+ * @returns {{text: string, href: string|null}} El texto a mostrar y la ruta a la que navegar al pulsarla.
+ */
+function describeNotification(notification) {
+    const actor = notification.actor ? `@${notification.actor.username}` : 'Alguien';
+    const message = notification.message;
+    const title = message && message.title ? `«${message.title}»` : 'un mensaje eliminado';
+    const href = message && message.messageStatus === 'active' ? `/messages/${message._id}` : null;
+
+    switch (notification.type) {
+        case 'like':
+            return { text: `A ${actor} le gusta tu mensaje ${title}.`, href };
+        case 'reply':
+            return { text: `${actor} ha respondido a tu mensaje: ${title}.`, href };
+        case 'mention':
+            return { text: `${actor} te ha mencionado en ${title}.`, href };
+        case 'report-reviewed':
+            return {
+                text: notification.data?.resolution === 'upheld'
+                    ? `Tu reporte sobre ${title} ha sido aceptado. Gracias por ayudar a la comunidad.`
+                    : `Tu reporte sobre ${title} ha sido revisado y desestimado.`,
+                href,
+            };
+        case 'message-moderated':
+            return {
+                text: `Tu mensaje ${title} ha sido ocultado por moderación. Strikes acumulados: ${notification.data?.strikes ?? '-'}.`,
+                href: null,
+            };
+        case 'account-updated': {
+            const changes = (notification.data?.changes || [])
+                .map(change => `${ACCOUNT_FIELD_LABELS[change.field] || change.field}: ${change.to}`)
+                .join(', ');
+            return { text: `El equipo de AgoraDig ha actualizado tu cuenta (${changes}).`, href: null };
+        }
+        default:
+            return { text: 'Tienes una nueva notificación.', href };
+    }
+}
+
+/**
+ * @function setupNotificationsPage
+ * @description Inicializa la vista `/notifications`: carga paginada, filtro de no leídas y marcado como leídas,
+ * manteniendo sincronizado el contador de la campana del encabezado.
+ */
+async function setupNotificationsPage() {
+    const list = document.getElementById('notifications-list');
+    const loader = document.getElementById('notifications-loader');
+    const emptyMsg = document.getElementById('notifications-empty');
+    const loadMoreBtn = document.getElementById('notifications-more');
+    const unreadFilter = document.getElementById('notifications-unread-filter');
+    const readAllBtn = document.getElementById('notifications-read-all');
+    if (!list) return;
+
+    let page = 1;
+    let totalPages = 1;
+
+    const syncBadge = (count) => {
+        if (typeof updateNotificationBadge === 'function') updateNotificationBadge(count);
+    };
+
+    const createNotificationItem = (notification) => {
+        const { text, href } = describeNotification(notification);
+        const item = document.createElement('li');
+        item.className = `notification-item${notification.read ? '' : ' unread'}`;
+        item.dataset.notificationId = notification._id;
+
+        const textEl = document.createElement('span');
+        textEl.textContent = text;
+        const timeEl = document.createElement('time');
+        timeEl.dateTime = notification.createdAt;
+        timeEl.textContent = new Date(notification.createdAt).toLocaleString('es-ES');
+        item.append(textEl, timeEl);
+
+        item.addEventListener('click', async () => {
+            if (item.classList.contains('unread')) {
+                try {
+                    const response = await fetch(`/api/notifications/${notification._id}/read`, { method: 'PATCH' });
+                    if (response.ok) {
+                        item.classList.remove('unread');
+                        syncBadge((await response.json()).unreadCount);
+                    }
+                } catch (error) {
+                    console.error('Error al marcar la notificación como leída:', error);
+                }
+            }
+            if (href) {
+                window.history.pushState({}, '', href);
+                await renderPage(href);
+            }
+        });
+        return item;
+    };
+
+    const loadPage = async (reset = false) => {
+        if (reset) {
+            page = 1;
+            totalPages = 1;
+            list.innerHTML = '';
+        }
+        loadMoreBtn.classList.add('hidden');
+        emptyMsg.classList.add('hidden');
+        loader.classList.remove('hidden');
+
+        try {
+            const params = new URLSearchParams({ page, unread: unreadFilter.checked });
+            const response = await fetch(`/api/notifications?${params.toString()}`);
+            if (!response.ok) throw new Error('No se pudieron cargar las notificaciones.');
+            const data = await response.json();
+
+            data.docs.forEach(notification => list.appendChild(createNotificationItem(notification)));
+            totalPages = data.totalPages;
+            syncBadge(data.unreadCount);
+            if (page === 1 && data.docs.length === 0) emptyMsg.classList.remove('hidden');
+            if (page < totalPages) loadMoreBtn.classList.remove('hidden');
+            page++;
+        } catch (error) {
+            list.innerHTML = `<li class="error-text">${error.message}</li>`;
+        } finally {
+            loader.classList.add('hidden');
+        }
+    };
+
+    unreadFilter.addEventListener('change', () => loadPage(true));
+    loadMoreBtn.addEventListener('click', () => loadPage(false));
+    readAllBtn.addEventListener('click', async () => {
+        readAllBtn.disabled = true;
+        try {
+            const response = await fetch('/api/notifications/read-all', { method: 'PATCH' });
+            if (!response.ok) throw new Error('No se pudieron marcar las notificaciones como leídas.');
+            syncBadge(0);
+            await loadPage(true);
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            readAllBtn.disabled = false;
+        }
+    });
+
+    await loadPage(true);
+}
+
+/** @type {Object<string, string>} Etiquetas legibles para cada estado de ticket. */
+const TICKET_STATUS_LABELS = {
+    pendiente: 'Pendiente',
+    en_progreso: 'En progreso',
+    completado: 'Completado',
+    rechazado: 'Rechazado',
+};
+
+/**
+ * @function createTicketCard
+ * @description Crea la tarjeta de un ticket de contacto para el panel de administración, incluyendo
+ * su asignación, las notas internas, el historial de estados y los botones de acción disponibles.
+ * Todo el contenido proporcionado por usuarios se inserta mediante `textContent`.
+ * @param {object} ticket - El ticket devuelto por `/api/admin/tickets`.
+ * @returns {HTMLDivElement} El elemento `div` con la clase 'ticket-card'.
+ */
+function createTicketCard(ticket) {
+    const card = document.createElement('div');
+    card.className = 'ticket-card';
+    card.dataset.id = ticket._id;
+
+    const header = document.createElement('div');
+    header.className = 'ticket-header';
+    const subject = document.createElement('h3');
+    subject.textContent = ticket.subject;
+    const status = document.createElement('span');
+    status.className = `ticket-status status-${ticket.status}`;
+    status.textContent = TICKET_STATUS_LABELS[ticket.status] || ticket.status;
+    header.append(subject, status);
+
+    const meta = document.createElement('div');
+    meta.className = 'ticket-meta';
+    const linkedUser = ticket.user ? `@${ticket.user.username} (registrado)` : (ticket.username || '-');
+    [
+        `De: ${ticket.name} (${ticket.email})`,
+        `Usuario: ${linkedUser}`,
+        `Fecha: ${new Date(ticket.createdAt).toLocaleString()}`,
+        `Asignado a: ${ticket.assignedTo ? `@${ticket.assignedTo.username}` : 'Nadie'}`,
+    ].forEach(text => {
+        const span = document.createElement('span');
+        span.textContent = text;
+        meta.appendChild(span);
+    });
+
+    const message = document.createElement('p');
+    message.className = 'ticket-message';
+    message.textContent = ticket.message;
+
+    card.append(header, meta, message);
+
+    const details = document.createElement('details');
+    details.className = 'ticket-details';
+    const summary = document.createElement('summary');
+    summary.textContent = `Notas internas (${(ticket.notes || []).length}) e historial`;
+    details.appendChild(summary);
+
+    const notesList = document.createElement('ul');
+    notesList.className = 'ticket-notes';
+    (ticket.notes || []).forEach(note => {
+        const item = document.createElement('li');
+        const author = note.author ? `@${note.author.username}` : 'Admin eliminado';
+        item.textContent = `${author} (${new Date(note.createdAt).toLocaleString()}): ${note.text}`;
+        notesList.appendChild(item);
+    });
+    details.appendChild(notesList);
+
+    const noteInput = document.createElement('textarea');
+    noteInput.className = 'ticket-note-input';
+    noteInput.rows = 2;
+    noteInput.maxLength = 1000;
+    noteInput.placeholder = 'Añadir una nota interna...';
+    const noteButton = document.createElement('button');
+    noteButton.className = 'button-secondary';
+    noteButton.textContent = 'Añadir nota';
+    noteButton.dataset.ticketAction = 'note';
+    details.append(noteInput, noteButton);
+
+    const historyList = document.createElement('ol');
+    historyList.className = 'ticket-history';
+    (ticket.history || []).forEach(entry => {
+        const item = document.createElement('li');
+        const from = entry.from ? TICKET_STATUS_LABELS[entry.from] : 'Creado';
+        const by = entry.changedBy ? ` por @${entry.changedBy.username}` : '';
+        item.textContent = `${from} → ${TICKET_STATUS_LABELS[entry.to]}${by} (${new Date(entry.changedAt).toLocaleString()})`;
+        historyList.appendChild(item);
+    });
+    details.appendChild(historyList);
+    card.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'ticket-actions';
+    const addButton = (label, className, action, extra = {}) => {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = label;
+        button.dataset.ticketAction = action;
+        Object.assign(button.dataset, extra);
+        actions.appendChild(button);
+    };
+
+    addButton(ticket.assignedTo ? 'Desasignar' : 'Asignarme', 'button-secondary', ticket.assignedTo ? 'unassign' : 'assign-me');
+    if (ticket.status !== 'en_progreso') addButton('En progreso', 'button-secondary', 'status', { status: 'en_progreso' });
+    if (ticket.status !== 'completado') addButton('Marcar como Completado', 'button-primary', 'status', { status: 'completado' });
+    if (ticket.status !== 'rechazado') addButton('Rechazar', 'button-danger', 'status', { status: 'rechazado' });
+    card.appendChild(actions);
+
+    return card;
+}
+
+
 /**
  * @function scrollToElement
  * @description Desplaza suavemente la vista hasta un elemento del DOM especificado por un selector CSS.
@@ -465,82 +1311,419 @@ function showReplyModal(parentId) {
                 <div class="form-group">
                     <label for="message-content">Contenido</label>
                     <textarea id="message-content" name="content" rows="6" required minlength="10" maxlength="1500"></textarea>
+                    <small>Admite **negrita**, *cursiva*, \`código\`, bloques \`\`\`, citas con &gt;, listas con - y menciones @usuario.</small>
                 </div>
                 <div class="form-group">
                     <label for="message-hashtags">Hashtags</label>
                     <input type="text" id="message-hashtags" name="hashtags" placeholder="Ej: #tecnologia #debate">
                     <small>Escribe hashtags separados por espacios.</small>
                 </div>
-                <div id="modal-error-message" class="error-text hidden"></div>
-                <button type="submit" class="button-primary">Publicar</button>
+                <div id="modal-error-message" class="error-text hidden"></div>
+                <button type="submit" class="button-primary">Publicar</button>
+            </form>
+        </div>
+    `;
+
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
+
+    requestAnimationFrame(() => {
+        modalOverlay.classList.add('visible');
+    });
+
+    const closeModal = () => {
+        modalOverlay.classList.remove('visible');
+        setTimeout(() => modalOverlay.remove(), 300);
+    };
+
+    modalContent.querySelector('#close-modal-btn').addEventListener('click', closeModal);
+    modalOverlay.addEventListener('click', (e) => {
+        if (e.target === modalOverlay) {
+            closeModal();
+        }
+    });
+
+    const form = modalContent.querySelector('form');
+    const errorEl = modalContent.querySelector('#modal-error-message');
+    attachMentionAutocomplete(form.querySelector('#message-content'));
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorEl.classList.add('hidden');
+
+        const titleInput = form.querySelector('#message-title');
+        const contentInput = form.querySelector('#message-content');
+
+        // Validación de cliente
+        if (titleInput.value.trim().length < 3 || titleInput.value.trim().length > 100) {
+            errorEl.textContent = 'El título debe tener entre 3 y 100 caracteres.';
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        if (contentInput.value.trim().length < 10 || contentInput.value.trim().length > 1500) {
+            errorEl.textContent = 'El contenido debe tener entre 10 y 1500 caracteres.';
+            errorEl.classList.remove('hidden');
+            return;
+        }
+
+        const formData = new FormData(e.target);
+        const data = Object.fromEntries(formData.entries());
+        const url = `/api/messages/${parentId}/reply`;
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+            });
+            const responseData = await response.json();
+            if (!response.ok) {
+                throw new Error(responseData.message || 'Error desconocido al publicar la respuesta.');
+            }
+            closeModal();
+            await renderPage(window.location.pathname);
+        } catch (error) {
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('hidden');
+        }
+    });
+}
+
+/**
+ * @function loadEditPolicy
+ * @description Obtiene de la API el plazo de edición de mensajes para que las tarjetas oculten el botón de editar
+ * cuando ya ha expirado. Si la petición falla, el botón se sigue mostrando y es el servidor quien rechaza la edición.
+ */
+async function loadEditPolicy() {
+    try {
+        const response = await fetch('/api/messages/edit-policy');
+        if (response.ok) {
+            const data = await response.json();
+            messageEditWindowMs = data.editWindowMs;
+        }
+    } catch (error) {
+        console.warn('No se pudo obtener el plazo de edición de mensajes.');
+    }
+}
+
+/**
+ * @function attachMentionAutocomplete
+ * @description Añade a un textarea sugerencias de nombres de usuario al escribir `@prefijo`.
+ * Las sugerencias se piden a `/api/users/suggestions` con un pequeño retardo y se navegan con las flechas,
+ * confirmando con Enter o Tab y cerrando con Escape.
+ * @param {HTMLTextAreaElement} textarea - El campo de texto sobre el que se activa el autocompletado.
+ */
+function attachMentionAutocomplete(textarea) {
+    const list = document.createElement('ul');
+    list.className = 'mention-suggestions hidden';
+    list.setAttribute('role', 'listbox');
+    textarea.parentElement.classList.add('mention-autocomplete');
+    textarea.insertAdjacentElement('afterend', list);
+
+    let debounceTimer = null;
+    let activeIndex = -1;
+    let tokenStart = -1;
+
+    const close = () => {
+        list.classList.add('hidden');
+        list.innerHTML = '';
+        activeIndex = -1;
+    };
+
+    const highlight = (index) => {
+        const items = list.querySelectorAll('li');
+        items.forEach((item, i) => item.classList.toggle('active', i === index));
+        activeIndex = index;
+    };
+
+    const select = (username) => {
+        const caret = textarea.selectionStart;
+        const before = textarea.value.slice(0, tokenStart);
+        const after = textarea.value.slice(caret);
+        textarea.value = `${before}@${username} ${after}`;
+        const position = before.length + username.length + 2;
+        textarea.setSelectionRange(position, position);
+        textarea.focus();
+        close();
+    };
+
+    const showSuggestions = (users) => {
+        list.innerHTML = '';
+        if (users.length === 0) {
+            close();
+            return;
+        }
+        users.forEach((user) => {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'option');
+            item.dataset.username = user.username;
+
+            const avatar = document.createElement('img');
+            avatar.src = user.profilePicturePath;
+            avatar.alt = '';
+            const name = document.createElement('span');
+            name.textContent = `@${user.username}`;
+
+            item.append(avatar, name);
+            list.appendChild(item);
+        });
+        list.classList.remove('hidden');
+        highlight(0);
+    };
+
+    textarea.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        const match = /(^|[^\w@])@([a-zA-Z0-9_.-]{1,20})$/.exec(textarea.value.slice(0, textarea.selectionStart));
+        if (!match) {
+            close();
+            return;
+        }
+        tokenStart = textarea.selectionStart - match[2].length - 1;
+        debounceTimer = setTimeout(async () => {
+            try {
+                const response = await fetch(`/api/users/suggestions?prefix=${encodeURIComponent(match[2])}`);
+                if (!response.ok) throw new Error('No se pudieron cargar las sugerencias.');
+                showSuggestions(await response.json());
+            } catch (error) {
+                console.warn(error.message);
+                close();
+            }
+        }, 200);
+    });
+
+    textarea.addEventListener('keydown', (e) => {
+        if (list.classList.contains('hidden')) return;
+        const items = list.querySelectorAll('li');
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            highlight((activeIndex + step + items.length) % items.length);
+        } else if ((e.key === 'Enter' || e.key === 'Tab') && activeIndex >= 0) {
+            e.preventDefault();
+            select(items[activeIndex].dataset.username);
+        } else if (e.key === 'Escape') {
+            e.stopPropagation();
+            close();
+        }
+    });
+
+    // Se usa mousedown para elegir la sugerencia antes de que el textarea pierda el foco.
+    list.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('li');
+        if (!item) return;
+        e.preventDefault();
+        select(item.dataset.username);
+    });
+
+    textarea.addEventListener('blur', () => setTimeout(close, 100));
+}
+
+/**
+ * @function showEditModal
+ * @description Crea y muestra un modal para editar el título, el contenido y los hashtags de un mensaje existente.
+ * Los datos se cargan desde la API para partir siempre de la última versión guardada.
+ * @param {string} messageId - El ID del mensaje a editar.
+ * @param {function(object): (void|Promise<void>)} onSaved - Callback que recibe el mensaje actualizado tras guardar.
+ */
+async function showEditModal(messageId, onSaved) {
+    if (document.getElementById('dynamic-edit-modal-overlay')) return;
+
+    let message;
+    try {
+        const response = await fetch(`/api/messages/${messageId}`);
+        message = await response.json();
+        if (!response.ok) throw new Error(message.message || 'No se pudo cargar el mensaje.');
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'modal-overlay';
+    modalOverlay.id = 'dynamic-edit-modal-overlay';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.innerHTML = `
+        <div class="modal-header">
+            <h2>Editar Mensaje</h2>
+            <button class="close-button" title="Cerrar">&times;</button>
+        </div>
+        <div class="modal-body">
+            <form id="edit-message-form" novalidate>
+                <div class="form-group">
+                    <label for="edit-message-title">Título</label>
+                    <input type="text" id="edit-message-title" name="title" required minlength="3" maxlength="100">
+                </div>
+                <div class="form-group">
+                    <label for="edit-message-content">Contenido</label>
+                    <textarea id="edit-message-content" name="content" rows="6" required minlength="10" maxlength="1500"></textarea>
+                    <small>Admite **negrita**, *cursiva*, \`código\`, bloques \`\`\`, citas con &gt;, listas con - y menciones @usuario.</small>
+                </div>
+                <div class="form-group">
+                    <label for="edit-message-hashtags">Hashtags</label>
+                    <input type="text" id="edit-message-hashtags" name="hashtags" placeholder="Ej: #tecnologia #debate">
+                    <small>Escribe hashtags separados por espacios.</small>
+                </div>
+                <div class="error-text hidden"></div>
+                <button type="submit" class="button-primary">Guardar cambios</button>
             </form>
         </div>
     `;
 
+    const form = modalContent.querySelector('form');
+    const errorEl = modalContent.querySelector('.error-text');
+    form.elements.title.value = message.title;
+    form.elements.content.value = message.content;
+    form.elements.hashtags.value = (message.hashtags || []).map(tag => `#${tag}`).join(' ');
+    attachMentionAutocomplete(form.elements.content);
+
     modalOverlay.appendChild(modalContent);
     document.body.appendChild(modalOverlay);
 
-    requestAnimationFrame(() => {
-        modalOverlay.classList.add('visible');
-    });
-
     const closeModal = () => {
-        modalOverlay.classList.remove('visible');
+        modalOverlay.classList.add('hidden');
         setTimeout(() => modalOverlay.remove(), 300);
     };
 
-    modalContent.querySelector('#close-modal-btn').addEventListener('click', closeModal);
+    modalContent.querySelector('.close-button').addEventListener('click', closeModal);
     modalOverlay.addEventListener('click', (e) => {
-        if (e.target === modalOverlay) {
-            closeModal();
-        }
+        if (e.target === modalOverlay) closeModal();
     });
 
-    const form = modalContent.querySelector('form');
-    const errorEl = modalContent.querySelector('#modal-error-message');
-    
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
         errorEl.classList.add('hidden');
 
-        const titleInput = form.querySelector('#message-title');
-        const contentInput = form.querySelector('#message-content');
-
-        // Validación de cliente
-        if (titleInput.value.trim().length < 3 || titleInput.value.trim().length > 100) {
-            errorEl.textContent = 'El título debe tener entre 3 y 100 caracteres.';
-            errorEl.classList.remove('hidden');
-            return;
-        }
-        if (contentInput.value.trim().length < 10 || contentInput.value.trim().length > 1500) {
-            errorEl.textContent = 'El contenido debe tener entre 10 y 1500 caracteres.';
-            errorEl.classList.remove('hidden');
-            return;
-        }
-
-        const formData = new FormData(e.target);
-        const data = Object.fromEntries(formData.entries());
-        const url = `/api/messages/${parentId}/reply`;
-
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
         try {
-            const response = await fetch(url, {
-                method: 'POST',
+            const response = await fetch(`/api/messages/${messageId}`, {
+                method: 'PATCH',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
+                body: JSON.stringify(Object.fromEntries(new FormData(form).entries()))
             });
             const responseData = await response.json();
             if (!response.ok) {
-                throw new Error(responseData.message || 'Error desconocido al publicar la respuesta.');
+                throw new Error(responseData.message || 'Error desconocido al guardar los cambios.');
             }
             closeModal();
-            await renderPage(window.location.pathname);
+            await onSaved(responseData);
         } catch (error) {
             errorEl.textContent = error.message;
             errorEl.classList.remove('hidden');
+            submitBtn.disabled = false;
         }
     });
 }
 
+/**
+ * @function renderDiffParts
+ * @description Construye un fragmento del DOM con las partes de un diff, marcando el texto añadido con `<ins>`
+ * y el eliminado con `<del>`. Todo el contenido se inserta con `textContent`.
+ * @param {Array<{type: string, text: string}>} parts - Las partes del diff devueltas por la API.
+ * @returns {DocumentFragment} El fragmento listo para insertarse.
+ */
+function renderDiffParts(parts) {
+    const fragment = document.createDocumentFragment();
+    parts.forEach((part) => {
+        const tag = part.type === 'added' ? 'ins' : part.type === 'removed' ? 'del' : 'span';
+        const element = document.createElement(tag);
+        element.textContent = part.text;
+        fragment.appendChild(element);
+    });
+    return fragment;
+}
+
+/**
+ * @function showRevisionsModal
+ * @description Muestra al personal de moderación el historial de revisiones de un mensaje,
+ * con las diferencias de cada versión respecto a la anterior.
+ * @param {string} messageId - El ID del mensaje cuyo historial se quiere consultar.
+ */
+async function showRevisionsModal(messageId) {
+    if (document.querySelector('.revisions-overlay')) return;
+
+    const modalOverlay = document.createElement('div');
+    modalOverlay.className = 'delete-confirmation-overlay revisions-overlay visible';
+
+    const modalContent = document.createElement('div');
+    modalContent.className = 'modal-content';
+    modalContent.innerHTML = `
+        <div class="modal-header">
+            <h2>Historial de Revisiones</h2>
+            <button class="close-button" title="Cerrar">&times;</button>
+        </div>
+        <div class="modal-body revisions-list"><div class="loader"></div></div>
+    `;
+    modalOverlay.appendChild(modalContent);
+    document.body.appendChild(modalOverlay);
+
+    const closeModal = () => modalOverlay.remove();
+    modalContent.querySelector('.close-button').addEventListener('click', closeModal);
+    modalOverlay.addEventListener('click', (e) => {
+        if (e.target === modalOverlay) closeModal();
+    });
+
+    const list = modalContent.querySelector('.revisions-list');
+    try {
+        const response = await fetch(`/api/messages/${messageId}/revisions`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'No se pudo cargar el historial.');
+
+        list.innerHTML = '';
+        // Se muestran primero las versiones más recientes.
+        data.revisions.slice().reverse().forEach((revision) => {
+            const item = document.createElement('section');
+            item.className = 'revision-item';
+
+            const header = document.createElement('h4');
+            const author = revision.author ? `@${revision.author.username}` : 'Usuario Eliminado';
+            const label = revision.version === data.revisions.length ? 'actual' : `v${revision.version}`;
+            header.textContent = `${label} · ${author} · ${new Date(revision.createdAt).toLocaleString('es-ES')}`;
+            item.appendChild(header);
+
+            const title = document.createElement('p');
+            title.className = 'revision-title';
+            const content = document.createElement('p');
+            content.className = 'revision-content';
+
+            if (revision.diff) {
+                title.appendChild(renderDiffParts(revision.diff.title));
+                content.appendChild(renderDiffParts(revision.diff.content));
+            } else {
+                title.textContent = revision.title;
+                content.textContent = revision.content;
+            }
+            item.append(title, content);
+
+            if (revision.diff && (revision.diff.hashtags.added.length > 0 || revision.diff.hashtags.removed.length > 0)) {
+                const hashtags = document.createElement('p');
+                hashtags.className = 'revision-hashtags';
+                revision.diff.hashtags.added.forEach((tag) => {
+                    const ins = document.createElement('ins');
+                    ins.textContent = `#${tag}`;
+                    hashtags.append(ins, ' ');
+                });
+                revision.diff.hashtags.removed.forEach((tag) => {
+                    const del = document.createElement('del');
+                    del.textContent = `#${tag}`;
+                    hashtags.append(del, ' ');
+                });
+                item.appendChild(hashtags);
+            }
+
+            list.appendChild(item);
+        });
+    } catch (error) {
+        list.innerHTML = '';
+        const errorEl = document.createElement('p');
+        errorEl.className = 'error-text';
+        errorEl.textContent = error.message;
+        list.appendChild(errorEl);
+    }
+}
+
 /**
  * @function showPasswordResetModal
  * @description Muestra un modal para que el usuario pueda restablecer su contraseña
@@ -675,7 +1858,17 @@ function showPasswordResetModal() {
             messageEl.textContent = result.message;
             messageEl.classList.remove('hidden');
             form.reset();
-            setTimeout(closeModal, 2500);
+
+            // El PIN anterior queda invalidado: se muestra el nuevo y el modal no se cierra solo.
+            if (result.recoveryPIN) {
+                const pinEl = document.createElement('strong');
+                pinEl.textContent = result.recoveryPIN;
+                messageEl.append(document.createElement('br'), pinEl);
+                confirmBtn.classList.add('hidden');
+                cancelBtn.textContent = 'Cerrar';
+            } else {
+                setTimeout(closeModal, 2500);
+            }
 
         } catch (error) {
             messageEl.textContent = error.message;
@@ -760,6 +1953,78 @@ async function fetchTemplate(path) {
 }
 
 
+/**
+ * @function loadCategories
+ * @description Obtiene la lista de categorías ordenada desde la API, incluyendo si el usuario actual puede publicar en cada una.
+ * Ante un error de red devuelve una lista vacía para que el feed pueda seguir mostrándose.
+ * @returns {Promise<Array<object>>} Las categorías con `name`, `slug`, `description` y `canPost`.
+ */
+async function loadCategories() {
+    try {
+        const response = await fetch('/api/categories');
+        if (!response.ok) throw new Error('No se pudieron cargar las categorías.');
+        return await response.json();
+    } catch (error) {
+        console.error(error);
+        return [];
+    }
+}
+
+/**
+ * @function populateCategorySelects
+ * @description Rellena el filtro de categorías del buscador y el selector del modal de publicación.
+ * En el modal solo se ofrecen las categorías en las que el usuario tiene permiso para publicar.
+ * @param {Array<object>} categories - Las categorías devueltas por `loadCategories`.
+ * @param {string|null} selectedSlug - El slug de la categoría activa en la ruta, si lo hay.
+ */
+function populateCategorySelects(categories, selectedSlug) {
+    const filterSelect = document.getElementById('category-select');
+    const messageSelect = document.getElementById('message-category');
+
+    categories.forEach((category) => {
+        filterSelect.appendChild(new Option(category.name, category.slug));
+        if (category.canPost) {
+            messageSelect.appendChild(new Option(category.name, category.slug));
+        }
+    });
+
+    if (selectedSlug) {
+        // Si la categoría no existe se mantiene igualmente en el filtro para que la búsqueda devuelva un feed vacío.
+        if (!categories.some((category) => category.slug === selectedSlug)) {
+            filterSelect.appendChild(new Option(selectedSlug, selectedSlug));
+        }
+        filterSelect.value = selectedSlug;
+    }
+}
+
+/**
+ * @function showCategoryHeader
+ * @description Muestra el nombre y la descripción de la categoría activa en la cabecera del feed,
+ * o restaura la cabecera de bienvenida cuando no hay ninguna categoría seleccionada.
+ * @param {object|null} category - La categoría activa, o null si no existe.
+ * @param {string|null} slug - El slug solicitado, usado para informar de categorías inexistentes.
+ */
+function showCategoryHeader(category, slug) {
+    const title = document.getElementById('home-title');
+    const description = document.getElementById('category-description');
+
+    if (category) {
+        title.textContent = category.name;
+        description.textContent = category.description || '';
+        description.classList.toggle('hidden', !category.description);
+        document.title = category.name;
+    } else if (slug) {
+        title.textContent = 'Categoría no encontrada';
+        description.textContent = `No existe ninguna categoría con el identificador "${slug}".`;
+        description.classList.remove('hidden');
+        document.title = 'Categoría no encontrada';
+    } else {
+        title.textContent = '¡Bienvenid@ a Ágora Dig!';
+        description.classList.add('hidden');
+        document.title = 'Inicio | Búsqueda';
+    }
+}
+
 /**
  * @function startLikePolling
  * @description Inicia un intervalo de sondeo (polling) para actualizar los contadores de 'likes' de los mensajes visibles en el feed.
@@ -797,6 +2062,107 @@ function startLikePolling(messagesContainer) {
 }
 
 
+/**
+ * @function stopLiveUpdates
+ * @description Cierra el flujo de eventos en tiempo real, el observador de tarjetas y el sondeo de respaldo, si existen.
+ * Se invoca en cada cambio de vista para no dejar conexiones abiertas en segundo plano.
+ */
+function stopLiveUpdates() {
+    if (window.messageStream) {
+        window.messageStream.close();
+        window.messageStream = null;
+    }
+    if (window.messageStreamObserver) {
+        window.messageStreamObserver.disconnect();
+        window.messageStreamObserver = null;
+    }
+    if (window.pollInterval) {
+        clearInterval(window.pollInterval);
+        window.pollInterval = null;
+    }
+}
+
+/**
+ * @function startLiveUpdates
+ * @description Se suscribe mediante Server-Sent Events a los cambios de los mensajes visibles en el contenedor:
+ * contadores de 'likes' y respuestas, eliminaciones y nuevas respuestas. La suscripción se renueva cuando cambian
+ * las tarjetas mostradas. Si el navegador no soporta EventSource o el servidor rechaza el flujo, se recurre al sondeo.
+ * @param {HTMLElement} messagesContainer - El contenedor del DOM donde se encuentran las tarjetas de mensajes.
+ * @param {object} [options] - Opciones adicionales.
+ * @param {function(object, string): void} [options.onReply] - Se invoca con la nueva respuesta y el ID del mensaje padre.
+ */
+function startLiveUpdates(messagesContainer, options = {}) {
+    stopLiveUpdates();
+
+    if (!('EventSource' in window)) {
+        startLikePolling(messagesContainer);
+        return;
+    }
+
+    const findCard = (id) => messagesContainer.querySelector(`.message-card[data-message-id="${id}"]`);
+    const currentIds = () => Array.from(messagesContainer.querySelectorAll('.message-card'))
+        .map(card => card.getAttribute('data-message-id'))
+        .slice(0, 100);
+
+    let subscribedIds = '';
+
+    const connect = () => {
+        const ids = currentIds().join(',');
+        if (ids === subscribedIds) return;
+        subscribedIds = ids;
+
+        if (window.messageStream) window.messageStream.close();
+        window.messageStream = null;
+        if (!ids) return;
+
+        const stream = new EventSource(`/api/messages/stream?ids=${ids}`);
+        window.messageStream = stream;
+
+        stream.addEventListener('like', (event) => {
+            const { id, likeCount } = JSON.parse(event.data);
+            const likeCountSpan = findCard(id)?.querySelector('.like-count');
+            if (likeCountSpan) likeCountSpan.textContent = likeCount;
+        });
+
+        stream.addEventListener('replies', (event) => {
+            const { id, replyCount } = JSON.parse(event.data);
+            const replyCountSpan = findCard(id)?.querySelector('.reply-count');
+            if (replyCountSpan) replyCountSpan.textContent = replyCount;
+        });
+
+        stream.addEventListener('deleted', (event) => {
+            const { id } = JSON.parse(event.data);
+            const card = findCard(id);
+            if (!card) return;
+            // En un hilo se retira la rama completa, ya que sus respuestas dejan de ser accesibles.
+            (card.closest('.thread-node') || card).remove();
+        });
+
+        stream.addEventListener('reply', (event) => {
+            const { parentId, reply } = JSON.parse(event.data);
+            if (options.onReply && !findCard(reply._id)) options.onReply(reply, parentId);
+        });
+
+        // EventSource reintenta solo ante cortes de red; si el servidor rechaza el flujo, se pasa al sondeo.
+        stream.addEventListener('error', () => {
+            if (stream.readyState !== EventSource.CLOSED || window.messageStream !== stream) return;
+            stopLiveUpdates();
+            startLikePolling(messagesContainer);
+        });
+    };
+
+    let reconnectTimer = null;
+    window.messageStreamObserver = new MutationObserver(() => {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = setTimeout(() => {
+            if (window.messageStreamObserver) connect();
+        }, 500);
+    });
+    window.messageStreamObserver.observe(messagesContainer, { childList: true, subtree: true });
+
+    connect();
+}
+
 // ===================================
 //  ENRUTADOR Y RENDERIZADOR PRINCIPAL
 // ===================================
@@ -815,10 +2181,8 @@ async function renderPage(path) {
     loaderContainer.classList.remove('hidden');
     appRoot.classList.add('hidden');
 
-    if (window.pollInterval) {
-        clearInterval(window.pollInterval);
-        window.pollInterval = null;
-    }
+    stopLiveUpdates();
+    agoraMarkup = await markupReady;
 
     let templatePath = '';
     let cssPaths = [];
@@ -845,7 +2209,7 @@ async function renderPage(path) {
         }
     }
     
-    if (pathname === '/' || pathname === '/home') {
+    if (pathname === '/' || pathname === '/home' || pathname.startsWith('/c/')) {
         cssPaths = ['/css/messages.css', '/css/search.css'];
         await loadViewCss(cssPaths);
 
@@ -858,6 +2222,16 @@ async function renderPage(path) {
         if (initialQuery) {
             searchInput.value = initialQuery;
         }
+        ['sort', 'dateRange'].forEach((name) => {
+            const select = document.querySelector(`#search-form select[name="${name}"]`);
+            const value = urlParams.get(name);
+            if (value && select.querySelector(`option[value="${CSS.escape(value)}"]`)) select.value = value;
+        });
+
+        const routeCategory = pathname.startsWith('/c/') ? decodeURIComponent(pathname.slice(3)) : urlParams.get('category');
+        const categories = await loadCategories();
+        populateCategorySelects(categories, routeCategory);
+        showCategoryHeader(categories.find((category) => category.slug === routeCategory) || null, routeCategory);
 
         const messagesContainer = document.getElementById('messages-container');
         const loadMoreBtn = document.getElementById('load-more-btn');
@@ -879,6 +2253,22 @@ async function renderPage(path) {
             console.warn('No se pudo obtener el perfil del usuario (puede que no esté logueado).');
         }
 
+        // El modo "Siguiendo" y el seguimiento de hashtags solo están disponibles con sesión iniciada.
+        const feedInput = document.getElementById('feed-input');
+        const feedTabs = document.querySelectorAll('#feed-tabs .feed-tab');
+        let followedHashtags = new Set();
+        if (currentUser) {
+            document.getElementById('feed-tabs').classList.remove('hidden');
+            if (urlParams.get('feed') === 'following') feedInput.value = 'following';
+            feedTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.feed === feedInput.value));
+            try {
+                const followsResponse = await fetch('/api/follows');
+                if (followsResponse.ok) followedHashtags = new Set((await followsResponse.json()).hashtags);
+            } catch (error) {
+                console.warn('No se pudieron cargar los hashtags seguidos.');
+            }
+        }
+
         const executeSearch = async (isNewSearch = false) => {
             if (isNewSearch) {
                 currentPage = 1;
@@ -891,7 +2281,7 @@ async function renderPage(path) {
 
             if (resultsHeader) {
                 if (currentSearchInput.value.trim() === '') {
-                    resultsHeader.textContent = 'Últimas tendencias:';
+                    resultsHeader.textContent = feedInput.value === 'following' ? 'De quienes sigues:' : 'Últimas tendencias:';
                 } else {
                     resultsHeader.textContent = 'Resultados:';
                 }
@@ -911,7 +2301,11 @@ async function renderPage(path) {
             
             if (isNewSearch) {
                 const searchOnlyParams = new URLSearchParams(formData);
-                const newUrl = `/home?${searchOnlyParams.toString()}`;
+                const category = searchOnlyParams.get('category');
+                searchOnlyParams.delete('category');
+                if (searchOnlyParams.get('feed') === 'all') searchOnlyParams.delete('feed');
+                const basePath = category ? `/c/${encodeURIComponent(category)}` : '/home';
+                const newUrl = `${basePath}?${searchOnlyParams.toString()}`;
                 window.history.pushState({ path: newUrl }, '', newUrl);
             }
 
@@ -921,8 +2315,26 @@ async function renderPage(path) {
                 
                 const data = await response.json();
 
+                // Una búsqueda de un único hashtag (por ejemplo, al pulsar un enlace de hashtag) permite seguirlo.
+                const terms = currentSearchInput.value.trim().split(/\s+/);
+                let followBar = null;
+                if (isNewSearch && currentUser && data.searchType === 'hashtag' && terms.length === 1) {
+                    const tag = terms[0].replace(/^#+/, '').toLowerCase();
+                    followBar = document.createElement('div');
+                    followBar.className = 'hashtag-follow-bar';
+                    followBar.appendChild(createFollowButton(
+                        `/api/follows/hashtags/${encodeURIComponent(tag)}`,
+                        followedHashtags.has(tag),
+                        ` #${tag}`,
+                    ));
+                }
+
                 if (currentPage === 1 && (!data.messages || data.messages.length === 0) && (!data.users || data.users.length === 0)) {
-                    messagesContainer.innerHTML = `<div class="empty-feed-message"><br><p>No se encontraron resultados. Prueba con otros términos de búsqueda o ajusta los filtros.</p><br></div>`;
+                    const emptyText = feedInput.value === 'following'
+                        ? 'No hay mensajes de quienes sigues. Sigue perfiles desde su página o hashtags desde sus búsquedas.'
+                        : 'No se encontraron resultados. Prueba con otros términos de búsqueda o ajusta los filtros.';
+                    messagesContainer.innerHTML = `<div class="empty-feed-message"><br><p>${emptyText}</p><br></div>`;
+                    if (followBar) messagesContainer.prepend(followBar);
                     feedLoader.classList.add('hidden');
                     return;
                 }
@@ -963,6 +2375,7 @@ async function renderPage(path) {
                         messagesContainer.appendChild(messageCard);
                     });
                 }
+                if (followBar) messagesContainer.prepend(followBar);
 
                 totalPages = data.totalPages;
                 currentPage++;
@@ -992,20 +2405,39 @@ async function renderPage(path) {
 
         document.getElementById('sort-select').addEventListener('change', () => executeSearch(true));
         document.getElementById('date-range-select').addEventListener('change', () => executeSearch(true));
+        feedTabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                feedInput.value = tab.dataset.feed;
+                feedTabs.forEach(t => t.classList.toggle('active', t === tab));
+                executeSearch(true);
+            });
+        });
+        document.getElementById('category-select').addEventListener('change', (e) => {
+            showCategoryHeader(categories.find((category) => category.slug === e.target.value) || null, e.target.value);
+            executeSearch(true);
+        });
 
         loadMoreBtn.addEventListener('click', () => executeSearch(false));
         
         await executeSearch(true);
 
-        startLikePolling(messagesContainer);
+        startLiveUpdates(messagesContainer);
 
         const openModalBtn = document.getElementById('open-create-message-modal-btn');
         const modalOverlay = document.getElementById('create-message-modal');
         const closeModalBtn = document.getElementById('close-modal-btn');
         const messageForm = document.getElementById('create-message-form');
         const modalError = document.getElementById('modal-error-message');
+        attachMentionAutocomplete(document.getElementById('message-content'));
 
-        const showModal = () => modalOverlay.classList.remove('hidden');
+        const showModal = () => {
+            const messageCategory = document.getElementById('message-category');
+            const activeCategory = document.getElementById('category-select').value;
+            if (messageCategory.querySelector(`option[value="${CSS.escape(activeCategory)}"]:not([disabled])`)) {
+                messageCategory.value = activeCategory;
+            }
+            modalOverlay.classList.remove('hidden');
+        };
         const hideModal = () => {
             modalOverlay.classList.add('hidden');
             modalError.classList.add('hidden');
@@ -1051,6 +2483,15 @@ async function renderPage(path) {
         });
 
         messagesContainer.addEventListener('click', async (event) => {
+            const followButton = event.target.closest('.follow-btn');
+            if (followButton) {
+                const tag = followButton.dataset.label.trim().slice(1);
+                const result = await toggleFollow(followButton);
+                if (result && result.isFollowing) followedHashtags.add(tag);
+                else if (result) followedHashtags.delete(tag);
+                return;
+            }
+
             const hashtagLink = event.target.closest('.hashtag-link');
             if (hashtagLink) {
                 event.preventDefault();
@@ -1067,6 +2508,27 @@ async function renderPage(path) {
             const replyButton = event.target.closest('.reply-message-btn');
             const deleteButton = event.target.closest('.delete-message-btn');
             const reportButton = event.target.closest('.report-message-btn');
+            const editButton = event.target.closest('.edit-message-btn');
+            const revisionsButton = event.target.closest('.view-revisions-btn');
+            const bookmarkButton = event.target.closest('.bookmark-message-btn');
+
+            if (bookmarkButton) {
+                await toggleBookmark(bookmarkButton);
+                return;
+            }
+
+            if (editButton) {
+                const card = editButton.closest('.message-card');
+                await showEditModal(card.getAttribute('data-message-id'), (updated) => {
+                    card.replaceWith(createMessageCard(updated, currentUser));
+                });
+                return;
+            }
+
+            if (revisionsButton) {
+                await showRevisionsModal(revisionsButton.closest('.message-card').getAttribute('data-message-id'));
+                return;
+            }
 
             if (replyButton) {
                 const isAuthenticated = await checkAuth();
@@ -1118,7 +2580,7 @@ async function renderPage(path) {
             const card = event.target.closest('.message-card');
             if (!card) return;
 
-            const isInteractiveClick = event.target.closest('a, button, .like-button, .reply-message-btn, .delete-message-btn, .report-message-btn');
+            const isInteractiveClick = event.target.closest('a, button, .like-button, .reply-message-btn, .delete-message-btn, .report-message-btn, .bookmark-message-btn');
             if (!isInteractiveClick) {
                 const messageId = card.getAttribute('data-message-id');
                 const detailUrl = `/messages/${messageId}`;
@@ -1144,9 +2606,9 @@ async function renderPage(path) {
             const repliesContainer = document.getElementById('replies-container');
             const repliesHeader = document.getElementById('replies-header');
 
-            const [messageResponse, repliesResponse] = await Promise.all([
+            const [messageResponse, threadResponse] = await Promise.all([
                 fetch(`/api/messages/${messageId}`),
-                fetch(`/api/messages/${messageId}/replies?page=1`)
+                fetch(`/api/messages/${messageId}/thread?depth=${THREAD_DEPTH}`)
             ]);
 
             if (!messageResponse.ok) {
@@ -1155,7 +2617,7 @@ async function renderPage(path) {
             }
 
             const messageData = await messageResponse.json();
-            const repliesData = repliesResponse.ok ? await repliesResponse.json() : { docs: [], totalPages: 0 };
+            const threadData = threadResponse.ok ? await threadResponse.json() : { replies: [], nextCursor: null };
             
             let currentUser = null;
             try {
@@ -1168,87 +2630,28 @@ async function renderPage(path) {
             const mainCard = createMessageCard(messageData, currentUser);
             mainMessageContainer.appendChild(mainCard);
             
-            let currentReplyPage = 1;
-            let totalReplyPages = repliesData.totalPages;
-            
-            const loadMoreReplies = async () => {
-                const loadMoreBtn = document.getElementById('load-more-replies-btn');
-                const repliesLoader = document.getElementById('replies-loader');
-                
-                if (loadMoreBtn) loadMoreBtn.classList.add('hidden');
-                if (repliesLoader) repliesLoader.classList.remove('hidden');
-
-                try {
-                    const res = await fetch(`/api/messages/${messageId}/replies?page=${currentReplyPage}`);
-                    const data = await res.json();
-                    
-                    data.docs.forEach(reply => {
-                        const replyCard = createMessageCard(reply, currentUser);
-                        const replyWrapper = document.createElement('div');
-                        replyWrapper.className = 'reply-wrapper';
-                        replyWrapper.appendChild(replyCard);
-                        
-                        const lineBreak = document.createElement('br');
-                        
-                        const loadMoreContainer = document.querySelector('.load-more-container');
-                        if (loadMoreContainer) {
-                            repliesContainer.insertBefore(replyWrapper, loadMoreContainer);
-                            repliesContainer.insertBefore(lineBreak, loadMoreContainer);
-                        } else {
-                            repliesContainer.appendChild(replyWrapper);
-                            repliesContainer.appendChild(lineBreak);
-                        }
-                    });
-
-                    if (currentReplyPage >= totalReplyPages) {
-                        document.querySelector('.load-more-container')?.remove();
-                    } else {
-                        if (loadMoreBtn) loadMoreBtn.classList.remove('hidden');
-                    }
-                } catch (error) {
-                    console.error("Error al cargar más respuestas:", error);
-                } finally {
-                    if (repliesLoader) repliesLoader.classList.add('hidden');
-                }
-            };
-            
-            if (repliesData.docs.length > 0) {
+            if (threadData.replies.length > 0) {
                 repliesHeader.classList.remove('hidden');
-                repliesData.docs.forEach(reply => {
-                    const replyCard = createMessageCard(reply, currentUser);
-                    const replyWrapper = document.createElement('div');
-                    replyWrapper.className = 'reply-wrapper';
-                    replyWrapper.appendChild(replyCard);
-                    repliesContainer.appendChild(replyWrapper);
-                    
-                    const lineBreak = document.createElement('br');
-                    repliesContainer.appendChild(lineBreak);
-                });
+                appendThreadNodes(repliesContainer, threadData.replies, currentUser);
             }
-            
-            if (totalReplyPages > 1) {
-                const loadMoreContainer = document.createElement('div');
-                loadMoreContainer.className = 'load-more-container';
-
-                const repliesLoader = document.createElement('div');
-                repliesLoader.id = 'replies-loader';
-                repliesLoader.className = 'loader hidden';
-                loadMoreContainer.appendChild(repliesLoader);
-
-                const loadMoreBtn = document.createElement('button');
-                loadMoreBtn.id = 'load-more-replies-btn';
-                loadMoreBtn.className = 'button-primary';
-                loadMoreBtn.textContent = 'Cargar más';
-                loadMoreBtn.addEventListener('click', () => {
-                    currentReplyPage++;
-                    loadMoreReplies();
-                });
-                loadMoreContainer.appendChild(loadMoreBtn);
-                repliesContainer.appendChild(loadMoreContainer);
+            if (threadData.nextCursor) {
+                repliesContainer.appendChild(createThreadMoreButton(messageId, threadData.nextCursor, repliesContainer, currentUser));
             }
 
             const detailViewContainer = document.getElementById('message-detail-view');
             if (detailViewContainer) {
+                // Las respuestas nuevas solo se añaden a ramas ya cargadas por completo, para respetar el orden cronológico.
+                startLiveUpdates(detailViewContainer, {
+                    onReply: (reply, parentId) => {
+                        const branch = parentId === messageId
+                            ? repliesContainer
+                            : detailViewContainer.querySelector(`.thread-node[data-node-id="${parentId}"] > .thread-children`);
+                        if (!branch || branch.querySelector(':scope > .thread-more')) return;
+                        repliesHeader.classList.remove('hidden');
+                        appendThreadNodes(branch, [{ ...reply, children: [], nextCursor: null }], currentUser);
+                    },
+                });
+
                 detailViewContainer.addEventListener('click', async (event) => {
                      const hashtagLink = event.target.closest('.hashtag-link');
                      if (hashtagLink) {
@@ -1264,6 +2667,27 @@ async function renderPage(path) {
                      const replyButton = event.target.closest('.reply-message-btn');
                      const deleteButton = event.target.closest('.delete-message-btn');
                      const reportButton = event.target.closest('.report-message-btn');
+                     const editButton = event.target.closest('.edit-message-btn');
+                     const revisionsButton = event.target.closest('.view-revisions-btn');
+                     const bookmarkButton = event.target.closest('.bookmark-message-btn');
+
+                     if (bookmarkButton) {
+                         await toggleBookmark(bookmarkButton);
+                         return;
+                     }
+
+                     if (editButton) {
+                         const card = editButton.closest('.message-card');
+                         await showEditModal(card.getAttribute('data-message-id'), (updated) => {
+                             card.replaceWith(createMessageCard(updated, currentUser));
+                         });
+                         return;
+                     }
+
+                     if (revisionsButton) {
+                         await showRevisionsModal(revisionsButton.closest('.message-card').getAttribute('data-message-id'));
+                         return;
+                     }
             
                      if (likeButton) {
                          const isAuthenticated = await checkAuth();
@@ -1315,7 +2739,7 @@ async function renderPage(path) {
                     const card = event.target.closest('.message-card');
                     if (!card) return;
 
-                    const isInteractiveClick = event.target.closest('a, button, .like-button, .reply-message-btn, .delete-message-btn, .report-message-btn');
+                    const isInteractiveClick = event.target.closest('a, button, .like-button, .reply-message-btn, .delete-message-btn, .report-message-btn, .bookmark-message-btn');
                     if (!isInteractiveClick) {
                         const messageIdToNav = card.getAttribute('data-message-id');
                         const currentMessageId = pathname.split('/')[2];
@@ -1367,7 +2791,7 @@ async function renderPage(path) {
         await loadViewCss(cssPaths);
     
     } else if (path.startsWith('/view-profile')) {
-        cssPaths = ['/css/profile.css'];
+        cssPaths = ['/css/profile.css', '/css/messages.css'];
         await loadViewCss(cssPaths);
         try {
             const params = new URLSearchParams(window.location.search);
@@ -1375,11 +2799,13 @@ async function renderPage(path) {
             if (!username) throw new Error('Nombre de usuario no especificado en la URL.');
 
             let viewerRole = null;
+            let viewerUsername = null;
             try {
                 const selfProfileResponse = await fetch('/api/profile');
                 if (selfProfileResponse.ok) {
                     const viewerData = await selfProfileResponse.json();
                     viewerRole = viewerData.role;
+                    viewerUsername = viewerData.username;
                 }
             } catch (e) { /* El usuario no está logueado, se ignora. */ }
 
@@ -1511,6 +2937,24 @@ async function renderPage(path) {
                     });
                 }
             }
+            renderProfileStats(document.getElementById('profile-stats'), userData.stats);
+
+            const followControls = document.getElementById('follow-controls');
+            if (followControls && viewerUsername && viewerUsername !== userData.username) {
+                const followButton = createFollowButton(
+                    `/api/follows/users/${encodeURIComponent(userData.username)}`,
+                    !!userData.isFollowing,
+                );
+                followButton.addEventListener('click', async () => {
+                    const result = await toggleFollow(followButton);
+                    const followerStat = document.querySelector('#profile-stats [data-stat="followerCount"] strong');
+                    if (result && followerStat) followerStat.textContent = result.followerCount;
+                });
+                followControls.appendChild(followButton);
+            }
+
+            await setupProfileActivity(userData.username);
+
             templatePath = '';
             await waitForImages(appRoot, '.profile-picture');
 
@@ -1523,7 +2967,7 @@ async function renderPage(path) {
         }
     
     } else if (path.startsWith('/profile')) {
-        cssPaths = ['/css/profile.css'];
+        cssPaths = ['/css/profile.css', '/css/messages.css'];
         await loadViewCss(cssPaths);
         try {
             const response = await fetch('/api/profile');
@@ -1551,6 +2995,17 @@ async function renderPage(path) {
             appRoot.querySelector('.profile-fullname').textContent = `${userData.firstName} ${userData.lastName}`;
             appRoot.querySelector('.profile-username').textContent = `@${userData.username}`;
             appRoot.querySelector('.profile-description').textContent = userData.description || 'Este usuario aún no ha añadido una descripción.';
+
+            try {
+                const followsResponse = await fetch('/api/follows');
+                if (followsResponse.ok) {
+                    const follows = await followsResponse.json();
+                    appRoot.querySelector('#profile-follow-counts').textContent =
+                        `${follows.followerCount} seguidores · ${follows.followingCount} siguiendo · ${follows.hashtagCount} hashtags seguidos`;
+                }
+            } catch (error) {
+                console.warn('No se pudieron cargar los contadores de seguimiento.');
+            }
             
             const moderationContainer = appRoot.querySelector('#moderation-info-display');
             if (moderationContainer) {
@@ -1568,6 +3023,8 @@ async function renderPage(path) {
             
             await waitForImages(appRoot, '.profile-picture');
             await loadAndExecuteScript('/templates/profile.html');
+            await setupOwnProfileLists(userData);
+            await setupRestrictionsManager();
     
         } catch (error) {
             console.error(error);
@@ -1613,6 +3070,17 @@ async function renderPage(path) {
             cssPaths = ['/css/error.css'];
             await loadViewCss(cssPaths);
         }
+    } else if (pathname === '/notifications') {
+        const profileResponse = await fetch('/api/profile');
+        if (profileResponse.status === 401) {
+            window.history.pushState({}, '', '/login');
+            await renderPage('/login');
+            return;
+        }
+        templatePath = '/templates/notifications.html';
+        document.title = 'Notificaciones';
+        cssPaths = ['/css/notifications.css'];
+        await loadViewCss(cssPaths);
     } else if (pathname === '/terms-and-conditions') {
         templatePath = '/templates/terms-and-conditions.html';
         document.title = 'Términos y Condiciones';
@@ -1670,14 +3138,22 @@ async function renderPage(path) {
         const loader = document.getElementById('tickets-loader');
         const emptyMsg = document.getElementById('tickets-empty-message');
         const filter = document.getElementById('ticket-status-filter');
+        const assignedFilter = document.getElementById('ticket-assigned-filter');
+
+        let currentAdmin = null;
+        try {
+            const profileResponse = await fetch('/api/profile');
+            if (profileResponse.ok) currentAdmin = await profileResponse.json();
+        } catch (error) { /* El listado responderá 403 si no hay sesión. */ }
 
         const loadTickets = async () => {
             loader.classList.remove('hidden');
             ticketsList.innerHTML = '';
             emptyMsg.classList.add('hidden');
             try {
-                const status = filter.value;
-                const response = await fetch(`/api/admin/tickets?status=${status}`);
+                const params = new URLSearchParams({ status: filter.value });
+                if (assignedFilter && assignedFilter.checked) params.append('assignedTo', 'me');
+                const response = await fetch(`/api/admin/tickets?${params.toString()}`);
                 if (response.status === 403) {
                      appRoot.innerHTML = await fetchTemplate('/templates/error-403.html');
                      return;
@@ -1689,25 +3165,7 @@ async function renderPage(path) {
                 if (tickets.length === 0) {
                     emptyMsg.classList.remove('hidden');
                 } else {
-                    tickets.forEach(ticket => {
-                        const ticketEl = document.createElement('div');
-                        ticketEl.className = 'ticket-card';
-                        ticketEl.dataset.id = ticket._id;
-                        ticketEl.innerHTML = `
-                            <div class="ticket-header">
-                                <h3>${ticket.subject}</h3>
-                                <span class="ticket-status status-${ticket.status}">${ticket.status}</span>
-                            </div>
-                            <div class="ticket-meta">
-                                <span>De: ${ticket.name} (${ticket.email})</span>
-                                <span>Usuario: ${ticket.username}</span>
-                                <span>Fecha: ${new Date(ticket.createdAt).toLocaleString()}</span>
-                            </div>
-                            <p class="ticket-message">${ticket.message}</p>
-                            ${ticket.status === 'pendiente' ? '<button class="button-primary complete-ticket-btn">Marcar como Completado</button>' : ''}
-                        `;
-                        ticketsList.appendChild(ticketEl);
-                    });
+                    tickets.forEach(ticket => ticketsList.appendChild(createTicketCard(ticket)));
                 }
             } catch (error) {
                 ticketsList.innerHTML = `<p class="error-text">${error.message}</p>`;
@@ -1716,26 +3174,53 @@ async function renderPage(path) {
             }
         };
 
+        /**
+         * Envía una actualización de un ticket a la API y recarga el listado si tiene éxito.
+         * @param {string} ticketId - El ID del ticket.
+         * @param {string} action - El sub-recurso a invocar (`status`, `assign` o `notes`).
+         * @param {object} body - El cuerpo JSON de la petición.
+         */
+        const updateTicket = async (ticketId, action, body) => {
+            const response = await fetch(`/api/admin/tickets/${ticketId}/${action}`, {
+                method: action === 'notes' ? 'POST' : 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || 'Error al actualizar el ticket.');
+            await loadTickets();
+        };
+
         filter.addEventListener('change', loadTickets);
+        if (assignedFilter) assignedFilter.addEventListener('change', loadTickets);
+
         ticketsList.addEventListener('click', async (e) => {
-            if (e.target.classList.contains('complete-ticket-btn')) {
-                const card = e.target.closest('.ticket-card');
-                const ticketId = card.dataset.id;
-                e.target.disabled = true;
-                e.target.textContent = 'Procesando...';
-                try {
-                    const response = await fetch(`/api/admin/tickets/${ticketId}/status`, {
-                        method: 'PATCH',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ status: 'completado' })
-                    });
-                    if (!response.ok) throw new Error('Error al actualizar el ticket.');
-                    await loadTickets();
-                } catch (error) {
-                    alert(error.message);
-                    e.target.disabled = false;
-                    e.target.textContent = 'Marcar como Completado';
+            const button = e.target.closest('button[data-ticket-action]');
+            if (!button) return;
+
+            const card = button.closest('.ticket-card');
+            const ticketId = card.dataset.id;
+            const action = button.dataset.ticketAction;
+            const originalText = button.textContent;
+            button.disabled = true;
+            button.textContent = 'Procesando...';
+
+            try {
+                if (action === 'status') {
+                    await updateTicket(ticketId, 'status', { status: button.dataset.status });
+                } else if (action === 'assign-me') {
+                    await updateTicket(ticketId, 'assign', { username: currentAdmin ? currentAdmin.username : '' });
+                } else if (action === 'unassign') {
+                    await updateTicket(ticketId, 'assign', { username: '' });
+                } else if (action === 'note') {
+                    const noteInput = card.querySelector('.ticket-note-input');
+                    if (!noteInput.value.trim()) throw new Error('La nota no puede estar vacía.');
+                    await updateTicket(ticketId, 'notes', { text: noteInput.value });
                 }
+            } catch (error) {
+                alert(error.message);
+                button.disabled = false;
+                button.textContent = originalText;
             }
         });
 
@@ -1788,7 +3273,9 @@ async function renderPage(path) {
                         reportInfo.className = 'report-info';
                         reportInfo.innerHTML = `
                             <p><strong>Reportado por:</strong> ${msg.reportedBy.map(u => `@${u.username}`).join(', ')}</p>
-                            ${msg.reportStatus === 'pendiente' ? '<button class="button-primary review-report-btn">Marcar como Revisado</button>' : '<p><strong>Estado:</strong> Revisado</p>'}
+                            ${msg.reportStatus === 'pendiente'
+                                ? '<button class="button-primary review-report-btn">Marcar como Revisado</button> <button class="button-danger uphold-report-btn">Ocultar y Sancionar</button>'
+                                : `<p><strong>Estado:</strong> Revisado${msg.reportResolution === 'upheld' ? ' (mensaje ocultado y autor sancionado)' : ''}</p>`}
                         `;
                         messageCard.appendChild(reportInfo);
                         reportsList.appendChild(messageCard);
@@ -1803,12 +3290,37 @@ async function renderPage(path) {
 
         filter.addEventListener('change', loadReports);
         reportsList.addEventListener('click', async (e) => {
-            if (e.target.classList.contains('review-report-btn')) {
+            const editButton = e.target.closest('.edit-message-btn');
+            const revisionsButton = e.target.closest('.view-revisions-btn');
+            const bookmarkButton = e.target.closest('.bookmark-message-btn');
+            if (bookmarkButton) {
+                await toggleBookmark(bookmarkButton);
+                return;
+            }
+            if (editButton) {
+                await showEditModal(editButton.closest('.message-card').dataset.messageId, loadReports);
+                return;
+            }
+            if (revisionsButton) {
+                await showRevisionsModal(revisionsButton.closest('.message-card').dataset.messageId);
+                return;
+            }
+
+            const isReview = e.target.classList.contains('review-report-btn');
+            const isUphold = e.target.classList.contains('uphold-report-btn');
+            if (isReview || isUphold) {
+                if (isUphold && !window.confirm('Se ocultará el mensaje y se añadirá un strike a su autor. ¿Continuar?')) {
+                    return;
+                }
                 const card = e.target.closest('.message-card');
                 const messageId = card.dataset.messageId;
                 e.target.disabled = true;
                 try {
-                    const response = await fetch(`/api/moderation/reports/${messageId}/review`, { method: 'PATCH' });
+                    const response = await fetch(`/api/moderation/reports/${messageId}/review`, {
+                        method: 'PATCH',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ action: isUphold ? 'uphold' : 'dismiss' })
+                    });
                     if (!response.ok) throw new Error('Fallo al actualizar el estado del reporte.');
                     await loadReports();
                 } catch (error) {
@@ -1821,6 +3333,10 @@ async function renderPage(path) {
         await loadReports();
     }
     
+    if (pathname === '/notifications') {
+        await setupNotificationsPage();
+    }
+
     if (pathname === '/register-success') {
         const pin = sessionStorage.getItem('registrationPin');
         const pinDisplayElement = document.getElementById('recovery-pin-display');
@@ -1887,4 +3403,5 @@ async function handleNavClick(event) {
 
 document.addEventListener('click', handleNavClick);
 window.addEventListener('popstate', () => { renderPage(window.location.pathname + window.location.search); });
-document.addEventListener('DOMContentLoaded', () => { renderPage(window.location.pathname + window.location.search); });
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', () => { renderPage(window.location.pathname + window.location.search); });
+loadEditPolicy();
\ No newline at end of file
@@ -1,9 +1,46 @@
 /**
  * @file header.js
  * @description Gestiona la lógica del encabezado, incluyendo la visibilidad de enlaces
- * de navegación dinámicos basados en el rol del usuario y la interactividad del menú móvil.
+ * de navegación dinámicos basados en el rol del usuario, la campana de notificaciones
+ * y la interactividad del menú móvil.
  */
 
+const NOTIFICATIONS_POLL_MS = 60000;
+
+/**
+ * @function updateNotificationBadge
+ * @description Actualiza el contador de notificaciones no leídas de la campana del encabezado.
+ * Es global para que otras vistas (ej. la página de notificaciones) puedan refrescarlo tras marcar como leídas.
+ * @param {number} count - Número de notificaciones sin leer.
+ */
+function updateNotificationBadge(count) {
+    const badge = document.getElementById('notifications-badge');
+    if (!badge) return;
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.classList.toggle('hidden', !count);
+}
+
+/**
+ * @function refreshNotificationBadge
+ * @description Consulta al servidor el número de notificaciones no leídas y actualiza la campana.
+ * Si la sesión ha caducado, oculta la campana y detiene el sondeo.
+ */
+async function refreshNotificationBadge() {
+    try {
+        const response = await fetch('/api/notifications/unread-count');
+        if (response.status === 401) {
+            document.getElementById('nav-notifications-link')?.classList.add('hidden');
+            clearInterval(window.notificationsInterval);
+            return;
+        }
+        if (!response.ok) return;
+        const { unreadCount } = await response.json();
+        updateNotificationBadge(unreadCount);
+    } catch (error) {
+        // Los fallos de red puntuales se ignoran; se reintentará en el siguiente ciclo.
+    }
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
     // Primero, gestiona la visibilidad de los enlaces dinámicos basados en el rol del usuario.
     try {
@@ -15,6 +52,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             const ticketsLink = document.getElementById('nav-tickets-link');
             const reportsLink = document.getElementById('nav-reports-link');
 
+            // Cualquier usuario con sesión ve la campana de notificaciones.
+            document.getElementById('nav-notifications-link')?.classList.remove('hidden');
+            refreshNotificationBadge();
+            window.notificationsInterval = setInterval(refreshNotificationBadge, NOTIFICATIONS_POLL_MS);
+
             if (user && user.role) {
                 // Si es admin, muestra ambos enlaces.
                 if (user.role === 'admin') {
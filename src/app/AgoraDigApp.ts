@@ -1,16 +1,31 @@
 import http from 'node:http';
 import express, {type Express, type ErrorRequestHandler} from 'express';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
+import rateLimit, {type RateLimitExceededEventHandler} from 'express-rate-limit';
+import session from 'express-session';
 import type {BuildRouter} from "./routes/index.ts";
-
-type ServerOptions = {
+import type EventStreamHub from "./realtime/eventStreamHub.ts";
+import {makeStaticSite, type StaticSiteOptions} from "./middlewares/static.middleware.js";
+import {makeRequestLogger} from "./middlewares/requestLogger.middleware.js";
+import {makeMetricsEndpoint, recordHttpMetrics, type MetricsOptions} from "./middlewares/metrics.middleware.js";
+import {activeConnections, rateLimitRejections, startEventLoopMonitor} from "./metrics/appMetrics.js";
+import {logger, type LoggerOptions} from "./utils/logger.js";
+import {runReadinessChecks, type ReadinessCheck} from "./utils/readiness.js";
+
+export type ServerOptions = {
     jsonLimit?: string;
     rateLimit?: { windowMs?: number; max?: number };
     helmet?: Parameters<typeof helmet>[0];
     health?: { enabled: boolean, path?: string, readyPath?: string };
+    metrics?: MetricsOptions;
+    readinessChecks?: ReadinessCheck[];
     trustProxy?: boolean | string | number;
     gracefulShutdownMs?: number;
+    exposeErrorStacks?: boolean;
+    logging?: LoggerOptions;
+    session?: session.SessionOptions;
+    eventStreams?: EventStreamHub;
+    static?: StaticSiteOptions;
 }
 
 export default class AgoraDigApp {
@@ -18,30 +33,55 @@ export default class AgoraDigApp {
     private server: http.Server | null = null;
     private isShuttingDown: boolean = false;
     private ready: boolean = false;
-    private readonly settings: { healthPath: string, readyPath: string, gracefulShutdownMs: number };
+    private readonly settings: { healthPath: string, readyPath: string, gracefulShutdownMs: number, exposeErrorStacks: boolean };
+    private readonly eventStreams: EventStreamHub | null;
+    private readonly staticSite: ReturnType<typeof makeStaticSite> | null;
+    private readonly readinessChecks = new Map<string, ReadinessCheck>();
+    private readonly stopHooks: (() => Promise<unknown>)[] = [];
 
     constructor(routers: BuildRouter[], options: ServerOptions = {}) {
         this.app = express();
+        if (options.logging) logger.configure(options.logging);
 
         this.settings = {
             healthPath: options.health?.path ?? '/healthz',
             readyPath: options.health?.readyPath ?? '/readyz',
             gracefulShutdownMs: options.gracefulShutdownMs ?? 10_000,
+            exposeErrorStacks: options.exposeErrorStacks ?? process.env.NODE_ENV !== 'production',
         };
+        this.eventStreams = options.eventStreams ?? null;
+        this.staticSite = options.static ? makeStaticSite(options.static) : null;
+        options.readinessChecks?.forEach((check) => this.registerReadinessCheck(check));
 
         if (options.trustProxy !== undefined) {
             this.app.set('trust proxy', options.trustProxy);
         }
 
+        // First, so that every later middleware, handler and error runs with the request ID in context.
+        this.app.use(makeRequestLogger(logger));
+        if (options.metrics?.enabled) {
+            this.app.use(recordHttpMetrics);
+            startEventLoopMonitor();
+        }
         this.setSecurity(options);
+        // Static files skip sessions and rate limiting: a single page load requests dozens of them.
+        if (this.staticSite) this.app.use(this.staticSite.assets);
         this.setParsers(options);
+        this.setSession(options);
         this.setRateLimit(options);
         this.setHealthEndpoints(options);
+        this.setMetricsEndpoint(options);
 
         this.setRouters(routers);
+        if (this.staticSite) this.app.use(this.staticSite.fallback);
 
-        this.app.use((req, res, _next) => {
-            res.status(404).json({ error: 'Not Found', path: req.originalUrl });
+        this.app.use(async (req, res, next) => {
+            try {
+                if (this.staticSite && await this.staticSite.sendNotFoundPage(req, res)) return;
+            } catch (e) {
+                return next(e);
+            }
+            res.status(404).json({ error: 'Not Found', path: req.originalUrl, requestId: req.id });
         });
 
         this.setErrorHandler();
@@ -58,6 +98,11 @@ export default class AgoraDigApp {
         this.server.headersTimeout = 66_000;
         this.server.requestTimeout = 0;
 
+        this.server.on('connection', (socket) => {
+            activeConnections.inc();
+            socket.once('close', () => activeConnections.dec());
+        });
+
         this.server.on('clientError', (_err, socket) => {
             try {
                 if (!socket.destroyed) {
@@ -72,7 +117,7 @@ export default class AgoraDigApp {
             this.server!.listen(port, host, () => {
                 this.server!.off('error', onError);
                 this.ready = true;
-                console.log(`> Server listening on http://${host}:${port}`);
+                logger.info(`Server listening on http://${host}:${port}`);
                 resolve();
             });
         });
@@ -81,6 +126,21 @@ export default class AgoraDigApp {
         return this;
     }
 
+    /** Adds a dependency that `/readyz` probes on every request; names must be unique. */
+    registerReadinessCheck(check: ReadinessCheck) {
+        if (this.readinessChecks.has(check.name)) {
+            throw new Error(`Readiness check "${check.name}" is already registered`);
+        }
+        this.readinessChecks.set(check.name, check);
+        return this;
+    }
+
+    /** Adds a cleanup step that `stop()` runs, in registration order, once the HTTP server has closed. */
+    onStop(hook: () => Promise<unknown>) {
+        this.stopHooks.push(hook);
+        return this;
+    }
+
     async stop(reason: string = 'manual') {
         if (!this.server || this.isShuttingDown) {
             return;
@@ -88,10 +148,12 @@ export default class AgoraDigApp {
         this.isShuttingDown = true;
         this.ready = false;
 
-        console.log(`> Shutting down server (${reason})...`);
+        logger.info('Shutting down server', { reason });
+        // Event streams never finish on their own and would hold server.close() until the timeout.
+        this.eventStreams?.closeAll();
         await new Promise<void>((resolve) => {
             const t = setTimeout(() => {
-                console.error('> Forced shutdown after timeout.');
+                logger.error('Forced shutdown after timeout', { timeoutMs: this.settings.gracefulShutdownMs });
                 resolve();
             }, this.settings.gracefulShutdownMs);
             t.unref();
@@ -101,6 +163,14 @@ export default class AgoraDigApp {
                 resolve();
             });
         });
+
+        for (const hook of this.stopHooks) {
+            try {
+                await hook();
+            } catch (err) {
+                logger.error('Stop hook failed', { err });
+            }
+        }
     }
 
     private registerProcessHandlers() {
@@ -115,11 +185,11 @@ export default class AgoraDigApp {
         process.on('SIGINT', () => shutdownAndExit('SIGINT', 0));
         process.on('SIGTERM', () => shutdownAndExit('SIGTERM', 0));
         process.on('uncaughtException', async(err) => {
-            console.error('ERROR: uncaughtException:', err);
+            logger.error('uncaughtException', { err });
             await shutdownAndExit('uncaughtException', 1);
         });
         process.on('unhandledRejection', async(reason) => {
-            console.error('ERROR: unhandledRejection:', reason);
+            logger.error('unhandledRejection', { err: reason });
             await shutdownAndExit('unhandledRejection', 1);
         });
     }
@@ -139,22 +209,35 @@ export default class AgoraDigApp {
         this.app.use(express.json({ limit: jsonLimit }));
         this.app.use(express.urlencoded({ extended: false }));
 
-        const errorHandler: ErrorRequestHandler = (err, _req, res, next) => {
+        const errorHandler: ErrorRequestHandler = (err, req, res, next) => {
             if (err && err.type === 'entity.parse.failed') {
-                return res.status(400).json({ error: 'Invalid JSON payload' });
+                return res.status(400).json({ error: 'Invalid JSON payload', requestId: req.id });
             }
             return next(err);
         }
         this.app.use(errorHandler);
     }
 
+    private setSession(options: ServerOptions) {
+        if (!options.session) return;
+        this.app.use(session(options.session));
+    }
+
     private setRateLimit(options: ServerOptions) {
         const rl = {
             windowMs: 60_000,
             max: 100,
             standardHeaders: true,
             legacyHeaders: false,
-            ...options.rateLimit
+            ...options.rateLimit,
+            // Same response as the library's default handler, plus the rejection counter.
+            handler: (async (req, res, _next, limitOptions) => {
+                rateLimitRejections.inc();
+                const message = typeof limitOptions.message === 'function'
+                    ? await limitOptions.message(req, res)
+                    : limitOptions.message;
+                if (!res.writableEnded) res.status(limitOptions.statusCode).send(message);
+            }) satisfies RateLimitExceededEventHandler,
         };
         this.app.use(rateLimit(rl));
     }
@@ -169,22 +252,46 @@ export default class AgoraDigApp {
             res.json({ status: 'ok', uptime: process.uptime(), pid: process.pid });
         });
 
-        this.app.get(readyPath, (_req, res) => {
-            res.json({ ready: this.ready });
+        this.app.get(readyPath, async (_req, res, next) => {
+            try {
+                res.setHeader('Cache-Control', 'no-store');
+                // Not listening yet or draining: report it without probing so the load balancer reacts at once.
+                if (!this.ready) {
+                    res.status(503).json({ ready: false, status: this.isShuttingDown ? 'stopping' : 'starting', checks: {} });
+                    return;
+                }
+
+                const report = await runReadinessChecks(this.readinessChecks.values());
+                // stop() may have begun while the checks were running.
+                const ready = report.ready && this.ready;
+                res.status(ready ? 200 : 503).json({
+                    ready,
+                    status: ready ? 'ready' : this.isShuttingDown ? 'stopping' : 'unavailable',
+                    checks: report.checks,
+                });
+            } catch (e) { next(e); }
         });
     }
 
+    private setMetricsEndpoint(options: ServerOptions) {
+        if (!options.metrics?.enabled) return;
+        this.app.get(options.metrics.path ?? '/metrics', makeMetricsEndpoint(options.metrics));
+    }
+
     private setRouters(routers: BuildRouter[]) {
         if (!Array.isArray(routers)) return;
         routers.forEach(({ basePath, router }) => {
             if (!basePath || !router) return;
             const path = basePath.startsWith('/') ? basePath : `/${basePath}`;
-            this.app.use(path, router);
+            this.app.use(path, (_req, res, next) => {
+                res.locals.routerBasePath = path;
+                next();
+            }, router);
         });
     }
 
     private setErrorHandler() {
-        const errorHandler: ErrorRequestHandler = (err, _req, res, _next) => {
+        const errorHandler: ErrorRequestHandler = (err, req, res, _next) => {
             const status =
                 err.statusCode ||
                 err.status ||
@@ -192,10 +299,13 @@ export default class AgoraDigApp {
 
             const payload = {
                 error: err.publicMessage || err.message || 'Internal Server Error',
-                ...(process.env.NODE_ENV !== 'production' && { stack: err.stack }),
+                requestId: req.id,
+                ...(this.settings.exposeErrorStacks && { stack: err.stack }),
             };
 
-            console.error(`[ERROR ${status}]`, err);
+            // Client errors are expected; their outcome is already in the request line.
+            if (status >= 500) logger.error('Unhandled error', { status, err });
+            else logger.debug('Request failed', { status, err });
             res.status(status).json(payload);
         }
 
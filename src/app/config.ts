@@ -0,0 +1,320 @@
+import type {Store} from 'express-session';
+import type {ServerOptions} from './AgoraDigApp.ts';
+import type {RoutersOptions} from './routes/index.ts';
+import type EventStreamHub from './realtime/eventStreamHub.ts';
+import type {AvatarStorage} from './storage/avatar.storage.ts';
+import {SESSION_COOKIE_NAME} from './services/auth.service.js';
+import {LOG_FORMATS, LOG_LEVELS, type LogFormat, type LogLevel} from './utils/logger.js';
+
+export const NODE_ENVS = ['development', 'production', 'test'] as const;
+
+export type NodeEnv = typeof NODE_ENVS[number];
+
+export type AppConfig = {
+    nodeEnv: NodeEnv;
+    port: number;
+    trustProxy: boolean | number | string;
+    logLevel: LogLevel;
+    logFormat: LogFormat;
+    jsonLimit: string;
+    rateWindowMs: number;
+    rateMax: number;
+    shutdownTimeoutMs: number;
+    sessionSecret: string;
+    mongodbUri: string;
+    sessionStoreUri?: string;
+    turnstileSecretKey?: string;
+    cloudinaryCloudName?: string;
+    cloudinaryApiKey?: string;
+    cloudinaryApiSecret?: string;
+    uploadsDir: string;
+    sseMaxClients: number;
+    sseMaxClientsPerIp: number;
+    metricsEnabled: boolean;
+    metricsToken?: string;
+    metricsAllowedIps?: string[];
+    strikeBanThreshold: number;
+    messageEditWindowMinutes: number;
+};
+
+type Setting<T> = {
+    env: string;
+    description: string;
+    /** Converts the raw variable; throws with a short reason when the value is not acceptable. */
+    parse: (raw: string) => T;
+    default?: T;
+    /** `'production'` makes the setting mandatory only when NODE_ENV is production. */
+    required?: boolean | 'production';
+    /** Secrets are never printed as-is: the report shows the masked form instead. */
+    mask?: (value: string) => string;
+};
+
+const DEV_SESSION_SECRET = 'agoradig-dev-secret';
+
+const hidden = () => '********';
+const hideCredentials = (uri: string) => uri.replace(/\/\/[^@/]+@/, '//****:****@');
+
+function integer(min: number, max?: number) {
+    return (raw: string) => {
+        const value = Number(raw);
+        if (!Number.isSafeInteger(value) || value < min || (max !== undefined && value > max)) {
+            throw new Error(max === undefined ? `must be an integer of at least ${min}` : `must be an integer between ${min} and ${max}`);
+        }
+        return value;
+    };
+}
+
+function oneOf<T extends string>(values: readonly T[]) {
+    return (raw: string) => {
+        if (!values.includes(raw as T)) throw new Error(`must be one of ${values.join(', ')}`);
+        return raw as T;
+    };
+}
+
+function text(minLength = 1) {
+    return (raw: string) => {
+        if (raw.length < minLength) throw new Error(`must be at least ${minLength} characters long`);
+        return raw;
+    };
+}
+
+function byteSize(raw: string) {
+    if (!/^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i.test(raw)) throw new Error('must be a size such as 100kb or 1mb');
+    return raw;
+}
+
+function mongoUri(raw: string) {
+    if (!/^mongodb(\+srv)?:\/\/\S+$/.test(raw)) throw new Error('must be a mongodb:// or mongodb+srv:// URI');
+    return raw;
+}
+
+function flag(raw: string) {
+    if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+    throw new Error('must be true or false');
+}
+
+function list(raw: string) {
+    const items = raw.split(',').map((item) => item.trim()).filter(Boolean);
+    if (items.length === 0) throw new Error('must be a comma-separated list');
+    return items;
+}
+
+// Express accepts a boolean, a hop count or a list of trusted addresses/subnets.
+function trustProxy(raw: string) {
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    if (/^\d+$/.test(raw)) return Number(raw);
+    return raw;
+}
+
+const SETTINGS: { [K in keyof AppConfig]-?: Setting<NonNullable<AppConfig[K]>> } = {
+    nodeEnv: { env: 'NODE_ENV', description: 'Runtime environment', parse: oneOf(NODE_ENVS), default: 'development' },
+    port: { env: 'PORT', description: 'HTTP port', parse: integer(1, 65_535), default: 3000 },
+    trustProxy: { env: 'TRUST_PROXY', description: 'Express "trust proxy" setting', parse: trustProxy, default: 'loopback' },
+    logLevel: { env: 'LOG_LEVEL', description: 'Minimum level written to the log', parse: oneOf(LOG_LEVELS), default: 'info' },
+    logFormat: { env: 'LOG_FORMAT', description: 'Log line format', parse: oneOf(LOG_FORMATS), default: 'json' },
+    jsonLimit: { env: 'JSON_LIMIT', description: 'Maximum JSON body size', parse: byteSize, default: '1mb' },
+    rateWindowMs: { env: 'RATE_WINDOW_MS', description: 'Rate limit window (ms)', parse: integer(1_000), default: 60_000 },
+    rateMax: { env: 'RATE_MAX', description: 'Requests allowed per window and client', parse: integer(1), default: 100 },
+    shutdownTimeoutMs: {
+        env: 'SHUTDOWN_TIMEOUT_MS',
+        description: 'Grace period before a forced shutdown (ms)',
+        parse: integer(0),
+        default: 10_000,
+    },
+    sessionSecret: {
+        env: 'SESSION_SECRET',
+        description: 'Secret used to sign session cookies',
+        parse: text(16),
+        default: DEV_SESSION_SECRET,
+        required: 'production',
+        mask: hidden,
+    },
+    mongodbUri: {
+        env: 'MONGODB_URI',
+        description: 'MongoDB connection string',
+        parse: mongoUri,
+        default: 'mongodb://localhost:27017/appdb',
+        mask: hideCredentials,
+    },
+    sessionStoreUri: {
+        env: 'SESSION_STORE_URI',
+        description: 'MongoDB connection string for sessions (defaults to MONGODB_URI)',
+        parse: mongoUri,
+        mask: hideCredentials,
+    },
+    turnstileSecretKey: {
+        env: 'TURNSTILE_SECRET_KEY',
+        description: 'Cloudflare Turnstile secret key',
+        parse: text(),
+        mask: hidden,
+    },
+    cloudinaryCloudName: { env: 'CLOUDINARY_CLOUD_NAME', description: 'Cloudinary cloud name', parse: text() },
+    cloudinaryApiKey: { env: 'CLOUDINARY_API_KEY', description: 'Cloudinary API key', parse: text(), mask: hidden },
+    cloudinaryApiSecret: { env: 'CLOUDINARY_API_SECRET', description: 'Cloudinary API secret', parse: text(), mask: hidden },
+    uploadsDir: { env: 'UPLOADS_DIR', description: 'Directory for locally stored avatars', parse: text(), default: 'uploads' },
+    sseMaxClients: { env: 'SSE_MAX_CLIENTS', description: 'Maximum open event streams', parse: integer(1), default: 1_000 },
+    sseMaxClientsPerIp: {
+        env: 'SSE_MAX_CLIENTS_PER_IP',
+        description: 'Maximum open event streams per client address',
+        parse: integer(1),
+        default: 10,
+    },
+    metricsEnabled: { env: 'METRICS_ENABLED', description: 'Expose Prometheus metrics', parse: flag, default: false },
+    metricsToken: {
+        env: 'METRICS_TOKEN',
+        description: 'Bearer token accepted by the metrics endpoint',
+        parse: text(16),
+        mask: hidden,
+    },
+    metricsAllowedIps: {
+        env: 'METRICS_ALLOWED_IPS',
+        description: 'Comma-separated client IPs allowed to read metrics',
+        parse: list,
+    },
+    strikeBanThreshold: {
+        env: 'STRIKE_BAN_THRESHOLD',
+        description: 'Strikes that ban an account',
+        parse: integer(1),
+        default: 3,
+    },
+    messageEditWindowMinutes: {
+        env: 'MESSAGE_EDIT_WINDOW_MINUTES',
+        description: 'Minutes during which authors can edit a message',
+        parse: integer(0),
+        default: 15,
+    },
+};
+
+const CLOUDINARY_KEYS = ['cloudinaryCloudName', 'cloudinaryApiKey', 'cloudinaryApiSecret'] as const;
+
+export class ConfigError extends Error {
+    readonly problems: string[];
+
+    constructor(problems: string[]) {
+        super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function display(setting: Setting<unknown>, value: unknown) {
+    return setting.mask ? setting.mask(String(value)) : JSON.stringify(value);
+}
+
+/** Reads every setting from `env`, collecting all problems before failing so they can be fixed in one go. */
+export function loadConfig(env: NodeJS.ProcessEnv = process.env): AppConfig {
+    const problems: string[] = [];
+    const values: Record<string, unknown> = {};
+    const isProduction = env.NODE_ENV === 'production';
+
+    for (const [key, setting] of Object.entries(SETTINGS) as [string, Setting<unknown>][]) {
+        // Empty variables (e.g. `PORT=` in an env file) count as unset.
+        const raw = env[setting.env]?.trim() || undefined;
+
+        if (raw === undefined) {
+            if (setting.required === true || (setting.required === 'production' && isProduction)) {
+                problems.push(`${setting.env} is required${setting.required === 'production' ? ' in production' : ''}`);
+            } else {
+                values[key] = setting.default;
+            }
+            continue;
+        }
+
+        try {
+            values[key] = setting.parse(raw);
+        } catch (err) {
+            problems.push(`${setting.env} ${(err as Error).message} (got ${display(setting, raw)})`);
+        }
+    }
+
+    const cloudinarySet = CLOUDINARY_KEYS.filter((key) => values[key] !== undefined);
+    if (cloudinarySet.length > 0 && cloudinarySet.length < CLOUDINARY_KEYS.length) {
+        problems.push(`${CLOUDINARY_KEYS.map((key) => SETTINGS[key].env).join(', ')} must be set together`);
+    }
+
+    if (values.metricsEnabled === true && values.metricsToken === undefined && values.metricsAllowedIps === undefined) {
+        problems.push('METRICS_ENABLED requires METRICS_TOKEN or METRICS_ALLOWED_IPS');
+    }
+
+    if (problems.length > 0) throw new ConfigError(problems);
+    return values as AppConfig;
+}
+
+/** Human-readable dump for `--print-config`; secrets are masked and defaults are marked. */
+export function describeConfig(config: AppConfig, env: NodeJS.ProcessEnv = process.env) {
+    const entries = Object.entries(SETTINGS) as [keyof AppConfig, Setting<unknown>][];
+    const width = Math.max(...entries.map(([, setting]) => setting.env.length));
+
+    return entries.map(([key, setting]) => {
+        const value = config[key];
+        const shown = value === undefined ? '(unset)' : display(setting, value);
+        const source = env[setting.env]?.trim() ? '' : value === undefined ? '' : ' (default)';
+        return `${setting.env.padEnd(width)}  ${shown}${source}  # ${setting.description}`;
+    }).join('\n');
+}
+
+export function hasCloudinary(config: AppConfig): config is AppConfig & Required<Pick<AppConfig, typeof CLOUDINARY_KEYS[number]>> {
+    return CLOUDINARY_KEYS.every((key) => config[key] !== undefined);
+}
+
+export function toRoutersOptions(
+    config: AppConfig,
+    deps: { avatarStorage: AvatarStorage; eventStreams: EventStreamHub },
+): RoutersOptions {
+    return {
+        moderation: { strikeThreshold: config.strikeBanThreshold },
+        messages: { editWindowMs: config.messageEditWindowMinutes * 60_000 },
+        ...deps,
+    };
+}
+
+export function toServerOptions(
+    config: AppConfig,
+    deps: { avatarStorage: AvatarStorage; eventStreams: EventStreamHub; sessionStore: Store; publicDir: string },
+): ServerOptions {
+    const isProduction = config.nodeEnv === 'production';
+    return {
+        jsonLimit: config.jsonLimit,
+        rateLimit: { windowMs: config.rateWindowMs, max: config.rateMax },
+        helmet: {
+            contentSecurityPolicy: {
+                useDefaults: true,
+                directives: {
+                    "default-src": ["'self'"],
+                    "img-src": ["'self'", "data:", ...(deps.avatarStorage.name === 'cloudinary' ? ["https://res.cloudinary.com"] : [])],
+                    "object-src": ["'none'"],
+                    "base-uri": ["'self'"],
+                    "frame-ancestors": ["'none'"],
+                },
+            },
+        },
+        health: { enabled: true, path: '/healthz', readyPath: '/readyz' },
+        metrics: {
+            enabled: config.metricsEnabled,
+            path: '/metrics',
+            token: config.metricsToken,
+            allowedIps: config.metricsAllowedIps,
+        },
+        trustProxy: config.trustProxy,
+        session: {
+            name: SESSION_COOKIE_NAME,
+            secret: config.sessionSecret,
+            resave: false,
+            saveUninitialized: false,
+            store: deps.sessionStore,
+            cookie: {
+                httpOnly: true,
+                sameSite: 'lax',
+                secure: isProduction,
+                maxAge: 7 * 24 * 60 * 60 * 1000,
+            },
+        },
+        gracefulShutdownMs: config.shutdownTimeoutMs,
+        exposeErrorStacks: !isProduction,
+        logging: { level: config.logLevel, format: config.logFormat },
+        eventStreams: deps.eventStreams,
+        static: { rootDir: deps.publicDir },
+    };
+}
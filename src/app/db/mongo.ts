@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import {logger} from '../utils/logger.js';
+import type {ReadinessCheck} from '../utils/readiness.js';
+
+export async function connectMongo(uri: string) {
+    mongoose.set('strictQuery', true);
+    await mongoose.connect(uri, { serverSelectionTimeoutMS: 10_000 });
+    logger.info('MongoDB connected');
+    return mongoose.connection;
+}
+
+export async function disconnectMongo() {
+    if (mongoose.connection.readyState === 0) return;
+    await mongoose.disconnect();
+}
+
+export function mongoReadinessCheck(): ReadinessCheck {
+    return {
+        name: 'mongodb',
+        check: async () => {
+            const { db, readyState } = mongoose.connection;
+            if (readyState !== mongoose.ConnectionStates.connected || !db) throw new Error('Not connected');
+            await db.admin().ping();
+        },
+    };
+}
@@ -0,0 +1,67 @@
+import {monitorEventLoopDelay, type IntervalHistogram} from 'node:perf_hooks';
+import {Counter, Gauge, Histogram, MetricsRegistry} from './registry.js';
+
+export const metricsRegistry = new MetricsRegistry();
+
+// HTTP
+
+export const httpRequests = metricsRegistry.register(new Counter(
+    'agoradig_http_requests_total', 'HTTP requests handled, by route template and status code.', ['method', 'route', 'status']));
+
+export const httpRequestDuration = metricsRegistry.register(new Histogram(
+    'agoradig_http_request_duration_seconds', 'HTTP request latency in seconds, by route template and status code.',
+    ['method', 'route', 'status'], [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]));
+
+export const activeConnections = metricsRegistry.register(new Gauge(
+    'agoradig_http_active_connections', 'Open TCP connections to the HTTP server.'));
+
+export const rateLimitRejections = metricsRegistry.register(new Counter(
+    'agoradig_rate_limit_rejections_total', 'Requests rejected by the rate limiter.'));
+
+// Process
+
+let eventLoopDelay: IntervalHistogram | null = null;
+
+/** Event-loop sampling has a small cost, so it only starts once an app actually exposes metrics. */
+export function startEventLoopMonitor() {
+    if (eventLoopDelay) return;
+    eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+    eventLoopDelay.enable();
+}
+
+// Each scrape reports the lag seen since the previous one.
+metricsRegistry.register(new Gauge(
+    'agoradig_event_loop_lag_seconds', 'Event-loop delay since the previous scrape.', ['quantile'], (gauge) => {
+        if (!eventLoopDelay) return;
+        const toSeconds = (ns: number) => (Number.isFinite(ns) ? ns : 0) / 1e9;
+        gauge.set({ quantile: '0.5' }, toSeconds(eventLoopDelay.percentile(50)));
+        gauge.set({ quantile: '0.99' }, toSeconds(eventLoopDelay.percentile(99)));
+        gauge.set({ quantile: '1' }, toSeconds(eventLoopDelay.max));
+        eventLoopDelay.reset();
+    }));
+
+metricsRegistry.register(new Gauge(
+    'agoradig_process_memory_bytes', 'Process memory usage.', ['type'], (gauge) => {
+        const { heapUsed, heapTotal, rss, external } = process.memoryUsage();
+        gauge.set({ type: 'heap_used' }, heapUsed);
+        gauge.set({ type: 'heap_total' }, heapTotal);
+        gauge.set({ type: 'rss' }, rss);
+        gauge.set({ type: 'external' }, external);
+    }));
+
+metricsRegistry.register(new Gauge(
+    'agoradig_process_uptime_seconds', 'Seconds since the process started.', [], (gauge) => gauge.set(undefined, process.uptime())));
+
+// Domain
+
+export const messagesPosted = metricsRegistry.register(new Counter(
+    'agoradig_messages_posted_total', 'Messages published, split into top-level messages and replies.', ['kind']));
+
+export const likesToggled = metricsRegistry.register(new Counter(
+    'agoradig_likes_total', 'Likes given and withdrawn.', ['action']));
+
+export const messagesReported = metricsRegistry.register(new Counter(
+    'agoradig_reports_total', 'Messages reported for moderation.'));
+
+export const loginAttempts = metricsRegistry.register(new Counter(
+    'agoradig_logins_total', 'Login attempts by outcome.', ['result']));
@@ -0,0 +1,146 @@
+// Minimal Prometheus text exposition (format 0.0.4): counters, gauges and histograms with fixed label names.
+
+type LabelValues = Record<string, string | number>;
+
+function escapeLabel(value: string) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names: readonly string[], values: readonly string[], extra = '') {
+    const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value: number) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (!Number.isFinite(value)) return value > 0 ? '+Inf' : '-Inf';
+    return String(value);
+}
+
+abstract class Metric<T> {
+    protected readonly series = new Map<string, { values: string[]; state: T }>();
+
+    constructor(
+        readonly name: string,
+        readonly help: string,
+        protected readonly labelNames: readonly string[] = [],
+    ) {}
+
+    protected abstract readonly type: 'counter' | 'gauge' | 'histogram';
+    protected abstract initial(): T;
+    protected abstract samples(labels: string[], state: T): string[];
+
+    protected stateFor(labels: LabelValues = {}) {
+        const values = this.labelNames.map((name) => String(labels[name] ?? ''));
+        const key = values.join('\u0000');
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = { values, state: this.initial() };
+            this.series.set(key, entry);
+        }
+        return entry;
+    }
+
+    render() {
+        // A metric without labels always has exactly one series, reported as zero until first touched.
+        if (this.labelNames.length === 0) this.stateFor();
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { values, state } of this.series.values()) lines.push(...this.samples(values, state));
+        return lines.join('\n');
+    }
+}
+
+export class Counter extends Metric<{ value: number }> {
+    protected readonly type = 'counter';
+
+    protected initial() { return { value: 0 }; }
+
+    inc(labels?: LabelValues, amount = 1) {
+        this.stateFor(labels).state.value += amount;
+    }
+
+    protected samples(values: string[], state: { value: number }) {
+        return [`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(state.value)}`];
+    }
+}
+
+/** A gauge is either set directly or, with `collect`, sampled right before every scrape. */
+export class Gauge extends Metric<{ value: number }> {
+    protected readonly type = 'gauge';
+
+    constructor(name: string, help: string, labelNames: readonly string[] = [], private readonly collect?: (gauge: Gauge) => void) {
+        super(name, help, labelNames);
+    }
+
+    protected initial() { return { value: 0 }; }
+
+    set(labels: LabelValues | undefined, value: number) {
+        this.stateFor(labels).state.value = value;
+    }
+
+    inc(labels?: LabelValues, amount = 1) {
+        this.stateFor(labels).state.value += amount;
+    }
+
+    dec(labels?: LabelValues, amount = 1) {
+        this.stateFor(labels).state.value -= amount;
+    }
+
+    override render() {
+        this.collect?.(this);
+        return super.render();
+    }
+
+    protected samples(values: string[], state: { value: number }) {
+        return [`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(state.value)}`];
+    }
+}
+
+type HistogramState = { counts: number[]; sum: number; count: number };
+
+export class Histogram extends Metric<HistogramState> {
+    protected readonly type = 'histogram';
+
+    constructor(name: string, help: string, labelNames: readonly string[], private readonly buckets: readonly number[]) {
+        super(name, help, labelNames);
+    }
+
+    protected initial() { return { counts: this.buckets.map(() => 0), sum: 0, count: 0 }; }
+
+    observe(labels: LabelValues | undefined, value: number) {
+        const { state } = this.stateFor(labels);
+        // Buckets are cumulative: an observation counts towards every bucket it fits in.
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) state.counts[i]++;
+        });
+        state.sum += value;
+        state.count++;
+    }
+
+    protected samples(values: string[], state: HistogramState) {
+        return [
+            ...this.buckets.map((bound, i) =>
+                `${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${state.counts[i]}`),
+            `${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${state.count}`,
+            `${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(state.sum)}`,
+            `${this.name}_count${formatLabels(this.labelNames, values)} ${state.count}`,
+        ];
+    }
+}
+
+export class MetricsRegistry {
+    static readonly CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+    private readonly metrics = new Map<string, { render(): string }>();
+
+    register<M extends { name: string; render(): string }>(metric: M) {
+        if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    render() {
+        return `${[...this.metrics.values()].map((metric) => metric.render()).join('\n')}\n`;
+    }
+}
@@ -0,0 +1,52 @@
+import type {Request, RequestHandler} from 'express';
+import User, {type UserRole} from '../models/user.model.js';
+
+export async function loadCurrentUser(req: Request) {
+    if (req.currentUser !== undefined) return req.currentUser;
+
+    const userId = req.session?.userId;
+    const user = userId ? await User.findById(userId) : null;
+    const isValid = !!user && user.userStatus === 'active' &&
+        (req.session.sessionVersion ?? 0) === user.sessionVersion;
+    req.currentUser = isValid ? user : null;
+    return req.currentUser;
+}
+
+export const attachUser: RequestHandler = async (req, _res, next) => {
+    try {
+        await loadCurrentUser(req);
+        next();
+    } catch (e) { next(e); }
+};
+
+export const requireAuth: RequestHandler = async (req, res, next) => {
+    try {
+        const user = await loadCurrentUser(req);
+        if (!user) {
+            res.status(401).json({ message: 'Debes iniciar sesión para realizar esta acción.' });
+            return;
+        }
+        next();
+    } catch (e) { next(e); }
+};
+
+export function requireRole(...roles: UserRole[]): RequestHandler {
+    return async (req, res, next) => {
+        try {
+            const user = await loadCurrentUser(req);
+            if (!user) {
+                res.status(401).json({ message: 'Debes iniciar sesión para realizar esta acción.' });
+                return;
+            }
+            if (!roles.includes(user.role)) {
+                res.status(403).json({ message: 'No tienes permisos para realizar esta acción.' });
+                return;
+            }
+            next();
+        } catch (e) { next(e); }
+    };
+}
+
+export function isStaff(user: { role: UserRole } | null | undefined) {
+    return !!user && (user.role === 'admin' || user.role === 'moderator');
+}
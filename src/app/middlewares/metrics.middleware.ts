@@ -0,0 +1,68 @@
+import {timingSafeEqual} from 'node:crypto';
+import path from 'node:path';
+import type {Request, RequestHandler, Response} from 'express';
+import {httpRequestDuration, httpRequests, metricsRegistry} from '../metrics/appMetrics.js';
+import {MetricsRegistry} from '../metrics/registry.js';
+
+export type MetricsOptions = {
+    enabled: boolean;
+    path?: string;
+    /** Accepted as `Authorization: Bearer <token>`. */
+    token?: string;
+    /** Client addresses as seen by Express, so they honour the `trust proxy` setting. */
+    allowedIps?: string[];
+};
+
+// Labels use the route template (`/api/messages/:id`), never the raw URL, to keep the series count bounded.
+// The mount path comes from `res.locals` because Express clears `req.baseUrl` when an error leaves the router.
+function routeLabel(req: Request, res: Response) {
+    // Routers mounted at `/` would otherwise yield `//login`.
+    if (req.route?.path) return path.posix.join(res.locals.routerBasePath ?? req.baseUrl ?? '/', req.route.path);
+    // Static files and the SPA shell are served outside the routers.
+    return res.statusCode < 400 ? 'static' : 'unmatched';
+}
+
+export const recordHttpMetrics: RequestHandler = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.once('finish', () => {
+        const labels = { method: req.method, route: routeLabel(req, res), status: res.statusCode };
+        httpRequests.inc(labels);
+        // Event streams stay open for minutes; their duration is connection time, not latency.
+        if (String(res.getHeader('Content-Type') ?? '').startsWith('text/event-stream')) return;
+        httpRequestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+    next();
+};
+
+function matches(expected: string, received: string) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// IPv4 clients on a dual-stack socket show up as `::ffff:a.b.c.d`.
+function normalizeIp(ip: string | undefined) {
+    return ip?.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+export function makeMetricsEndpoint(options: MetricsOptions): RequestHandler {
+    const allowedIps = new Set((options.allowedIps ?? []).map(normalizeIp));
+    if (!options.token && allowedIps.size === 0) {
+        throw new Error('Metrics require a token or an IP allow-list');
+    }
+
+    const isAllowed = (req: Request) => {
+        const [scheme, credentials] = (req.get('Authorization') ?? '').split(' ');
+        if (options.token && scheme === 'Bearer' && credentials && matches(options.token, credentials)) return true;
+        return allowedIps.has(normalizeIp(req.ip));
+    };
+
+    return (req, res) => {
+        if (!isAllowed(req)) {
+            res.status(403).json({ error: 'Forbidden' });
+            return;
+        }
+        res.setHeader('Cache-Control', 'no-store');
+        res.type(MetricsRegistry.CONTENT_TYPE).send(metricsRegistry.render());
+    };
+}
@@ -0,0 +1,49 @@
+import {randomUUID} from 'node:crypto';
+import type {RequestHandler} from 'express';
+import {runWithRequestContext} from '../utils/requestContext.js';
+import type {Logger} from '../utils/logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs from a proxy are trusted only when they look like IDs: they end up in headers and log lines.
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assigns every request an ID (reusing the proxy's `X-Request-Id` when present), echoes it back,
+ * runs the rest of the pipeline inside that request's context and writes one line once the
+ * response has been sent or the client has gone away.
+ */
+export function makeRequestLogger(logger: Logger): RequestHandler {
+    return (req, res, next) => {
+        const incoming = req.get(REQUEST_ID_HEADER);
+        const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+        const startedAt = process.hrtime.bigint();
+
+        req.id = requestId;
+        res.setHeader(REQUEST_ID_HEADER, requestId);
+
+        let logged = false;
+        const logRequest = () => {
+            if (logged) return;
+            logged = true;
+            runWithRequestContext({ requestId }, () => {
+                const status = res.headersSent ? res.statusCode : null;
+                const fields = {
+                    method: req.method,
+                    // Query strings are left out: they can carry search terms and tokens.
+                    path: req.originalUrl.split('?')[0],
+                    status,
+                    latencyMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+                    userId: req.session?.userId ?? null,
+                    ...(!res.writableFinished && { aborted: true }),
+                };
+                if (status === null || status >= 500) logger.error('request', fields);
+                else logger.info('request', fields);
+            });
+        };
+        res.once('finish', logRequest);
+        res.once('close', logRequest);
+
+        runWithRequestContext({ requestId }, next);
+    };
+}
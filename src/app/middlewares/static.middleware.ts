@@ -0,0 +1,141 @@
+import {createHash} from 'node:crypto';
+import {createReadStream, type Stats} from 'node:fs';
+import {readFile, stat} from 'node:fs/promises';
+import path from 'node:path';
+import {pipeline} from 'node:stream/promises';
+import type {Request, RequestHandler, Response} from 'express';
+
+export type StaticSiteOptions = {
+    rootDir: string;
+    shell?: string;
+    apiPrefixes?: string[];
+    fingerprint?: RegExp;
+};
+
+// Matches names such as `app.3f9c21ab.js` or `core-3f9c21ab5d.css`: the hash changes whenever the content does.
+const DEFAULT_FINGERPRINT = /[.-][0-9a-f]{8,}\.[a-z0-9]+$/i;
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+const REVALIDATE = 'no-cache';
+const ENCODINGS = [{ name: 'br', ext: '.br' }, { name: 'gzip', ext: '.gz' }] as const;
+
+async function statFile(file: string) {
+    try {
+        const stats = await stat(file);
+        return stats.isFile() ? stats : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Serves the `public/` directory and the single-page app shell. `assets` only answers for files
+ * that exist, so it can run before sessions and rate limiting; `fallback` runs after the routers
+ * and answers every other page navigation with the shell so client-side routes survive a refresh.
+ */
+export function makeStaticSite(options: StaticSiteOptions) {
+    const root = path.resolve(options.rootDir);
+    const shellFile = path.join(root, options.shell ?? 'index.html');
+    const apiPrefixes = options.apiPrefixes ?? ['/api'];
+    const fingerprint = options.fingerprint ?? DEFAULT_FINGERPRINT;
+    const etags = new Map<string, { size: number; mtimeMs: number; etag: string }>();
+
+    const isApiPath = (urlPath: string) =>
+        apiPrefixes.some((prefix) => urlPath === prefix || urlPath.startsWith(`${prefix}/`));
+
+    // Strong validators are content hashes, cached until the file's size or mtime changes.
+    const etagFor = async (file: string, stats: Stats) => {
+        const cached = etags.get(file);
+        if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) return cached.etag;
+
+        const etag = `"${createHash('sha256').update(await readFile(file)).digest('base64url').slice(0, 27)}"`;
+        etags.set(file, { size: stats.size, mtimeMs: stats.mtimeMs, etag });
+        return etag;
+    };
+
+    const resolveFile = (urlPath: string) => {
+        let decoded: string;
+        try {
+            decoded = decodeURIComponent(urlPath);
+        } catch {
+            return null;
+        }
+        // Dot segments cover both dotfiles and `..` traversal.
+        if (decoded.includes('\0') || decoded.split('/').some((segment) => segment.startsWith('.'))) return null;
+
+        const file = path.join(root, decoded);
+        return file.startsWith(root + path.sep) ? file : null;
+    };
+
+    const sendFile = async (req: Request, res: Response, file: string, status: number, cacheControl: string) => {
+        const stats = await statFile(file);
+        if (!stats) return false;
+
+        let body = file;
+        let bodyStats = stats;
+        res.vary('Accept-Encoding');
+        for (const { name, ext } of ENCODINGS) {
+            if (req.acceptsEncodings(name) !== name) continue;
+            const variant = await statFile(file + ext);
+            if (variant) {
+                body = file + ext;
+                bodyStats = variant;
+                res.setHeader('Content-Encoding', name);
+                break;
+            }
+        }
+
+        res.status(status).type(path.extname(file)).set({
+            'Content-Length': String(bodyStats.size),
+            'ETag': await etagFor(body, bodyStats),
+            'Last-Modified': stats.mtime.toUTCString(),
+            'Cache-Control': cacheControl,
+        });
+
+        if (req.fresh) {
+            res.removeHeader('Content-Length');
+            res.removeHeader('Content-Type');
+            res.status(304).end();
+            return true;
+        }
+        if (req.method === 'HEAD') {
+            res.end();
+            return true;
+        }
+
+        await pipeline(createReadStream(body), res).catch(() => res.destroy());
+        return true;
+    };
+
+    const isPageRequest = (req: Request) =>
+        (req.method === 'GET' || req.method === 'HEAD') && !isApiPath(req.path) && !!req.accepts('html');
+
+    const assets: RequestHandler = async (req, res, next) => {
+        if ((req.method !== 'GET' && req.method !== 'HEAD') || isApiPath(req.path)) {
+            next();
+            return;
+        }
+        try {
+            const file = resolveFile(req.path);
+            if (file && await sendFile(req, res, file, 200, fingerprint.test(file) ? IMMUTABLE : REVALIDATE)) return;
+            next();
+        } catch (e) { next(e); }
+    };
+
+    // URLs with an extension are missing assets, not client-side routes, and fall through to the 404.
+    const fallback: RequestHandler = async (req, res, next) => {
+        if (!isPageRequest(req) || path.extname(req.path)) {
+            next();
+            return;
+        }
+        try {
+            if (await sendFile(req, res, shellFile, 200, REVALIDATE)) return;
+            next();
+        } catch (e) { next(e); }
+    };
+
+    /** Answers a page 404 with the shell so the client can render its own error view. */
+    const sendNotFoundPage = async (req: Request, res: Response) =>
+        isPageRequest(req) && await sendFile(req, res, shellFile, 404, REVALIDATE);
+
+    return { assets, fallback, sendNotFoundPage, isApiPath };
+}
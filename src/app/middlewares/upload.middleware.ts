@@ -0,0 +1,22 @@
+import multer from 'multer';
+import type {RequestHandler} from 'express';
+
+export const MAX_AVATAR_BYTES = 4 * 1024 * 1024;
+
+const avatarParser = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AVATAR_BYTES, files: 1, fields: 20 },
+}).single('profilePicture');
+
+export const parseAvatarForm: RequestHandler = (req, res, next) => {
+    avatarParser(req, res, (err: unknown) => {
+        if (err instanceof multer.MulterError) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? 'La imagen no puede superar los 4MB.'
+                : 'El formulario enviado no es válido.';
+            res.status(400).json({ message, errors: { profilePicture: message } });
+            return;
+        }
+        next(err);
+    });
+};
@@ -0,0 +1,43 @@
+import mongoose, {Schema, type InferSchemaType} from 'mongoose';
+
+export const AUDIT_ACTIONS = ['admin-update', 'report-upheld'] as const;
+
+export type AuditAction = typeof AUDIT_ACTIONS[number];
+
+const changeSchema = new Schema({
+    field: { type: String, required: true },
+    from: { type: Schema.Types.Mixed, default: null },
+    to: { type: Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+const auditLogSchema = new Schema({
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    actor: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    actorUsername: { type: String, required: true },
+    target: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    targetUsername: { type: String, required: true },
+    changes: { type: [changeSchema], default: [] },
+    ip: { type: String, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const rejectMutation = function () {
+    throw new Error('Audit log entries are append-only');
+};
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+        'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectMutation,
+);
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return next(new Error('Audit log entries are append-only'));
+    next();
+});
+
+export type AuditLogAttrs = InferSchemaType<typeof auditLogSchema>;
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export default AuditLog;
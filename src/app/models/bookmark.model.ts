@@ -0,0 +1,15 @@
+import mongoose, {Schema, type InferSchemaType} from 'mongoose';
+
+const bookmarkSchema = new Schema({
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    message: { type: Schema.Types.ObjectId, ref: 'Message', required: true },
+    createdAt: { type: Date, default: Date.now },
+});
+
+bookmarkSchema.index({ user: 1, message: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+export type BookmarkAttrs = InferSchemaType<typeof bookmarkSchema>;
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+export default Bookmark;
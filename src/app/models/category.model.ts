@@ -0,0 +1,19 @@
+import mongoose, {Schema, type InferSchemaType, type HydratedDocument} from 'mongoose';
+import {USER_ROLES} from './user.model.js';
+
+const categorySchema = new Schema({
+    name: { type: String, required: true, unique: true, trim: true, minlength: 2, maxlength: 50 },
+    slug: { type: String, required: true, unique: true, trim: true, lowercase: true, match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ },
+    description: { type: String, trim: true, maxlength: 300, default: '' },
+    order: { type: Number, default: 0 },
+    // Roles allowed to start threads in the category; empty means everyone.
+    postingRoles: { type: [{ type: String, enum: USER_ROLES }], default: [] },
+}, { timestamps: true });
+
+categorySchema.index({ order: 1, name: 1 });
+
+export type CategoryAttrs = InferSchemaType<typeof categorySchema>;
+export type CategoryDocument = HydratedDocument<CategoryAttrs>;
+
+const Category = mongoose.model('Category', categorySchema);
+export default Category;
@@ -0,0 +1,24 @@
+import mongoose, {Schema, type InferSchemaType} from 'mongoose';
+
+// A follow targets either a user or a hashtag; exactly one of `followedUser` and `hashtag` is set.
+const followSchema = new Schema({
+    follower: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    followedUser: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    hashtag: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+});
+
+followSchema.index(
+    { follower: 1, followedUser: 1 },
+    { unique: true, partialFilterExpression: { followedUser: { $type: 'objectId' } } },
+);
+followSchema.index(
+    { follower: 1, hashtag: 1 },
+    { unique: true, partialFilterExpression: { hashtag: { $type: 'string' } } },
+);
+followSchema.index({ followedUser: 1 });
+
+export type FollowAttrs = InferSchemaType<typeof followSchema>;
+
+const Follow = mongoose.model('Follow', followSchema);
+export default Follow;
@@ -0,0 +1,15 @@
+import mongoose, {Schema, type InferSchemaType} from 'mongoose';
+
+const loginAttemptSchema = new Schema({
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0, min: 0 },
+    lockedUntil: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export type LoginAttemptAttrs = InferSchemaType<typeof loginAttemptSchema>;
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+export default LoginAttempt;
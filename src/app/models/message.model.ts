@@ -0,0 +1,52 @@
+import mongoose, {Schema, type InferSchemaType, type HydratedDocument} from 'mongoose';
+
+export const MESSAGE_STATUSES = ['active', 'hidden', 'deleted'] as const;
+export const REPORT_STATUSES = ['none', 'pendiente', 'revisado'] as const;
+export const REPORT_RESOLUTIONS = ['dismissed', 'upheld'] as const;
+
+// Snapshot of a superseded version; editedBy/editedAt describe the edit that replaced it.
+const revisionSchema = new Schema({
+    title: { type: String, required: true },
+    content: { type: String, required: true },
+    hashtags: { type: [String], default: [] },
+    editedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    editedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const messageSchema = new Schema({
+    title: { type: String, required: true, trim: true, minlength: 3, maxlength: 100 },
+    content: { type: String, required: true, trim: true, minlength: 10, maxlength: 1500 },
+    hashtags: { type: [String], default: [] },
+    sender: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    referencedMessage: { type: Schema.Types.ObjectId, ref: 'Message', default: null },
+    mentions: { type: [{ type: Schema.Types.ObjectId, ref: 'User' }], default: [] },
+    category: { type: Schema.Types.ObjectId, ref: 'Category', default: null },
+    likes: { type: [{ type: Schema.Types.ObjectId, ref: 'User' }], default: [] },
+    replyCount: { type: Number, default: 0, min: 0 },
+    editedAt: { type: Date, default: null },
+    revisions: { type: [revisionSchema], default: [], select: false },
+    messageStatus: { type: String, enum: MESSAGE_STATUSES, default: 'active' },
+    reportedBy: { type: [{ type: Schema.Types.ObjectId, ref: 'User' }], default: [] },
+    reportStatus: { type: String, enum: REPORT_STATUSES, default: 'none' },
+    reportResolution: { type: String, enum: REPORT_RESOLUTIONS, default: null },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+messageSchema.index({ messageStatus: 1, createdAt: -1 });
+messageSchema.index({ referencedMessage: 1, messageStatus: 1, createdAt: 1 });
+messageSchema.index({ sender: 1, createdAt: -1 });
+messageSchema.index({ hashtags: 1 });
+messageSchema.index({ mentions: 1, createdAt: -1 });
+messageSchema.index({ category: 1, messageStatus: 1, createdAt: -1 });
+messageSchema.index({ reportStatus: 1, updatedAt: -1 });
+messageSchema.index(
+    { title: 'text', content: 'text' },
+    { weights: { title: 3, content: 1 }, default_language: 'spanish', name: 'message_text' },
+);
+
+export type MessageAttrs = InferSchemaType<typeof messageSchema>;
+export type MessageDocument = HydratedDocument<MessageAttrs>;
+
+const Message = mongoose.model('Message', messageSchema);
+export default Message;
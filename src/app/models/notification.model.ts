@@ -0,0 +1,24 @@
+import mongoose, {Schema, type InferSchemaType, type HydratedDocument} from 'mongoose';
+
+export const NOTIFICATION_TYPES = ['like', 'reply', 'mention', 'report-reviewed', 'message-moderated', 'account-updated'] as const;
+
+export type NotificationType = typeof NOTIFICATION_TYPES[number];
+
+const notificationSchema = new Schema({
+    recipient: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    actor: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    message: { type: Schema.Types.ObjectId, ref: 'Message', default: null },
+    data: { type: Schema.Types.Mixed, default: null },
+    read: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+export type NotificationAttrs = InferSchemaType<typeof notificationSchema>;
+export type NotificationDocument = HydratedDocument<NotificationAttrs>;
+
+const Notification = mongoose.model('Notification', notificationSchema);
+export default Notification;
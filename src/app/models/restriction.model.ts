@@ -0,0 +1,21 @@
+import mongoose, {Schema, type InferSchemaType} from 'mongoose';
+
+// A mute hides the target's messages from the owner; a block also stops the target from interacting with the owner.
+export const RESTRICTION_KINDS = ['mute', 'block'] as const;
+
+export type RestrictionKind = typeof RESTRICTION_KINDS[number];
+
+const restrictionSchema = new Schema({
+    owner: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    target: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    kind: { type: String, enum: RESTRICTION_KINDS, required: true },
+    createdAt: { type: Date, default: Date.now },
+});
+
+restrictionSchema.index({ owner: 1, target: 1 }, { unique: true });
+restrictionSchema.index({ target: 1, kind: 1 });
+
+export type RestrictionAttrs = InferSchemaType<typeof restrictionSchema>;
+
+const Restriction = mongoose.model('Restriction', restrictionSchema);
+export default Restriction;
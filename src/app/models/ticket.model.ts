@@ -0,0 +1,39 @@
+import mongoose, {Schema, type InferSchemaType, type HydratedDocument} from 'mongoose';
+
+export const TICKET_STATUSES = ['pendiente', 'en_progreso', 'completado', 'rechazado'] as const;
+
+export type TicketStatus = typeof TICKET_STATUSES[number];
+
+const noteSchema = new Schema({
+    author: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    text: { type: String, required: true, trim: true, maxlength: 1000 },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const historySchema = new Schema({
+    from: { type: String, enum: [...TICKET_STATUSES, null], default: null },
+    to: { type: String, enum: TICKET_STATUSES, required: true },
+    changedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    changedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const ticketSchema = new Schema({
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    email: { type: String, required: true, trim: true, lowercase: true },
+    username: { type: String, trim: true, default: '' },
+    user: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    subject: { type: String, required: true, trim: true, maxlength: 150 },
+    message: { type: String, required: true, trim: true, maxlength: 1200 },
+    status: { type: String, enum: TICKET_STATUSES, default: 'pendiente' },
+    assignedTo: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    notes: { type: [noteSchema], default: [] },
+    history: { type: [historySchema], default: [] },
+}, { timestamps: true });
+
+ticketSchema.index({ status: 1, createdAt: -1 });
+ticketSchema.index({ assignedTo: 1, status: 1 });
+
+export type TicketAttrs = InferSchemaType<typeof ticketSchema>;
+export type TicketDocument = HydratedDocument<TicketAttrs>;
+
+const Ticket = mongoose.model('Ticket', ticketSchema);
+export default Ticket;
@@ -0,0 +1,50 @@
+import mongoose, {Schema, type InferSchemaType, type HydratedDocument} from 'mongoose';
+
+export const USER_ROLES = ['user', 'moderator', 'admin'] as const;
+export const USER_STATUSES = ['active', 'banned', 'deleted'] as const;
+
+export const DEFAULT_PROFILE_PICTURE = '/images/user_img/default-avatar.webp';
+
+export type UserRole = typeof USER_ROLES[number];
+
+function requiredUnlessDeleted(this: { userStatus?: string }) {
+    return this.userStatus !== 'deleted';
+}
+
+const userSchema = new Schema({
+    firstName: { type: String, required: requiredUnlessDeleted, trim: true, maxlength: 50 },
+    lastName: { type: String, required: requiredUnlessDeleted, trim: true, maxlength: 80 },
+    username: { type: String, required: true, unique: true, trim: true, minlength: 3, maxlength: 20 },
+    email: { type: String, required: requiredUnlessDeleted, unique: true, sparse: true, trim: true, lowercase: true },
+    password: { type: String, required: requiredUnlessDeleted, select: false },
+    recoveryPIN: { type: String, required: requiredUnlessDeleted, select: false },
+    dateOfBirth: { type: Date, required: requiredUnlessDeleted },
+    description: { type: String, trim: true, maxlength: 300, default: '' },
+    profilePicturePath: { type: String, default: DEFAULT_PROFILE_PICTURE },
+    profilePictureKey: { type: String, default: null },
+    profilePictureVariants: { type: Map, of: String, default: undefined },
+    role: { type: String, enum: USER_ROLES, default: 'user' },
+    userStatus: { type: String, enum: USER_STATUSES, default: 'active' },
+    strikes: { type: Number, default: 0, min: 0 },
+    acceptsPublicity: { type: Boolean, default: false },
+    sessionVersion: { type: Number, default: 0 },
+    deletedAt: { type: Date, default: null },
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (_doc, ret: Record<string, unknown>) => {
+            delete ret.password;
+            delete ret.recoveryPIN;
+            delete ret.profilePictureKey;
+            delete ret.sessionVersion;
+            delete ret.__v;
+            return ret;
+        },
+    },
+});
+
+export type UserAttrs = InferSchemaType<typeof userSchema>;
+export type UserDocument = HydratedDocument<UserAttrs>;
+
+const User = mongoose.model('User', userSchema);
+export default User;
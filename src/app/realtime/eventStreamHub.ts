@@ -0,0 +1,114 @@
+import type {Request, Response} from 'express';
+
+type StreamClient = { res: Response; ip: string; topics: Set<string>; hiddenSenders: Set<string> };
+
+export type StreamSubscription = {
+    topics: string[];
+    /** Events caused by these senders are never delivered to this client (muted or blocked users). */
+    hiddenSenders?: Iterable<string>;
+};
+
+export type EventStreamHubOptions = {
+    heartbeatMs?: number;
+    retryMs?: number;
+    maxClients?: number;
+    /** Streams a single client address may hold, so one client cannot use up `maxClients`. */
+    maxClientsPerIp?: number;
+};
+
+/** `full` means the hub is at capacity or closing; `limited` that this client address already has too many streams. */
+export type StreamOpenResult = 'opened' | 'full' | 'limited';
+
+/**
+ * Keeps track of open Server-Sent Events connections, each subscribed to a set of topics,
+ * and fans published events out to the subscribers of each topic.
+ */
+export default class EventStreamHub {
+    private readonly clients = new Set<StreamClient>();
+    private readonly subscribers = new Map<string, Set<StreamClient>>();
+    private readonly heartbeat: NodeJS.Timeout;
+    private readonly retryMs: number;
+    private readonly maxClients: number;
+    private readonly maxClientsPerIp: number;
+    private readonly clientsPerIp = new Map<string, number>();
+    private closed = false;
+
+    constructor(options: EventStreamHubOptions = {}) {
+        this.retryMs = options.retryMs ?? 5_000;
+        this.maxClients = options.maxClients ?? 1_000;
+        this.maxClientsPerIp = options.maxClientsPerIp ?? 10;
+        this.heartbeat = setInterval(() => this.broadcast(': ping\n\n'), options.heartbeatMs ?? 25_000);
+        this.heartbeat.unref();
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    /** Turns the response into an event stream, unless the hub or this client's address is at its limit. */
+    open(req: Request, res: Response, { topics, hiddenSenders = [] }: StreamSubscription): StreamOpenResult {
+        if (this.closed || this.clients.size >= this.maxClients) return 'full';
+        const ip = req.ip ?? req.socket.remoteAddress ?? '';
+        const openForIp = this.clientsPerIp.get(ip) ?? 0;
+        if (openForIp >= this.maxClientsPerIp) return 'limited';
+
+        req.socket.setKeepAlive(true);
+        req.socket.setNoDelay(true);
+        res.status(200).set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+        res.write(`retry: ${this.retryMs}\n\n`);
+
+        const client: StreamClient = { res, ip, topics: new Set(topics), hiddenSenders: new Set(hiddenSenders) };
+        this.clients.add(client);
+        this.clientsPerIp.set(ip, openForIp + 1);
+        for (const topic of client.topics) {
+            const set = this.subscribers.get(topic) ?? new Set<StreamClient>();
+            set.add(client);
+            this.subscribers.set(topic, set);
+        }
+
+        req.on('close', () => this.remove(client));
+        return 'opened';
+    }
+
+    publish(topic: string, event: string, data: unknown, senderId?: string) {
+        const clients = this.subscribers.get(topic);
+        if (!clients) return;
+
+        const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const client of clients) {
+            if (senderId && client.hiddenSenders.has(senderId)) continue;
+            client.res.write(frame);
+        }
+    }
+
+    closeAll() {
+        this.closed = true;
+        clearInterval(this.heartbeat);
+        for (const client of this.clients) client.res.end();
+        this.clients.clear();
+        this.subscribers.clear();
+        this.clientsPerIp.clear();
+    }
+
+    private broadcast(frame: string) {
+        for (const client of this.clients) client.res.write(frame);
+    }
+
+    private remove(client: StreamClient) {
+        if (!this.clients.delete(client)) return;
+        const openForIp = (this.clientsPerIp.get(client.ip) ?? 1) - 1;
+        if (openForIp > 0) this.clientsPerIp.set(client.ip, openForIp);
+        else this.clientsPerIp.delete(client.ip);
+        for (const topic of client.topics) {
+            const set = this.subscribers.get(topic);
+            set?.delete(client);
+            if (set?.size === 0) this.subscribers.delete(topic);
+        }
+    }
+}
@@ -0,0 +1,21 @@
+import type {Types} from 'mongoose';
+import type EventStreamHub from './eventStreamHub.js';
+
+type Id = Types.ObjectId | string;
+
+export function publishLikeCount(hub: EventStreamHub, messageId: Id, likeCount: number) {
+    hub.publish(String(messageId), 'like', { id: String(messageId), likeCount });
+}
+
+export function publishReplyCount(hub: EventStreamHub, messageId: Id, replyCount: number | null) {
+    if (replyCount === null) return;
+    hub.publish(String(messageId), 'replies', { id: String(messageId), replyCount });
+}
+
+export function publishRemoval(hub: EventStreamHub, messageId: Id) {
+    hub.publish(String(messageId), 'deleted', { id: String(messageId) });
+}
+
+export function publishNewReply(hub: EventStreamHub, parentId: Id, senderId: Id, reply: unknown) {
+    hub.publish(String(parentId), 'reply', { parentId: String(parentId), reply }, String(senderId));
+}
@@ -0,0 +1,73 @@
+import { Router } from 'express';
+import AuditLog from '../models/auditLog.model.js';
+import User from '../models/user.model.js';
+import {requireRole} from '../middlewares/auth.middleware.js';
+import {PAGE_SIZE, parsePage} from '../services/messages.service.js';
+
+const AUDIT_PAGE_SIZE = PAGE_SIZE * 5;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(raw: unknown) {
+    if (typeof raw !== 'string' || !raw) return null;
+    const date = new Date(raw);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// A date-only `to` names the whole day, so the range ends where the next day starts.
+function parseRangeEnd(raw: unknown) {
+    const date = parseDate(raw);
+    if (!date || !DATE_ONLY.test(raw as string)) return date && { $lte: date };
+    return { $lt: new Date(date.getTime() + DAY_MS) };
+}
+
+// Entries keep the username they were written with, which goes stale after a rename: filter on the user ID instead.
+async function findUserIdFilter(raw: unknown) {
+    if (typeof raw !== 'string' || !raw) return undefined;
+    const user = await User.findOne({ username: raw }, { _id: 1 }).lean();
+    return user?._id ?? null;
+}
+
+function makeAuditRouter() {
+    const r = Router();
+
+    r.use(requireRole('admin'));
+
+    r.get('/', async (req, res, next) => {
+        try {
+            const filter: Record<string, unknown> = {};
+            const [target, actor] = await Promise.all([findUserIdFilter(req.query.target), findUserIdFilter(req.query.actor)]);
+            if (target === null || actor === null) {
+                res.status(200).json({ docs: [], totalPages: 0 });
+                return;
+            }
+            if (target) filter.target = target;
+            if (actor) filter.actor = actor;
+
+            const from = parseDate(req.query.from);
+            const to = parseRangeEnd(req.query.to);
+            if (from === undefined || to === undefined) {
+                res.status(400).json({ message: 'Rango de fechas no válido.' });
+                return;
+            }
+            if (from || to) {
+                filter.createdAt = { ...(from && { $gte: from }), ...to };
+            }
+
+            const page = parsePage(req.query.page);
+            const [docs, total] = await Promise.all([
+                AuditLog.find(filter)
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * AUDIT_PAGE_SIZE)
+                    .limit(AUDIT_PAGE_SIZE)
+                    .lean(),
+                AuditLog.countDocuments(filter),
+            ]);
+
+            res.status(200).json({ docs, totalPages: Math.ceil(total / AUDIT_PAGE_SIZE) });
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeAuditRouter;
@@ -0,0 +1,125 @@
+import { Router } from 'express';
+import User from '../models/user.model.js';
+import {parseAvatarForm} from '../middlewares/upload.middleware.js';
+import {AvatarValidationError, avatarFields, removeAvatar, storeAvatar} from '../services/avatar.service.js';
+import {
+    SESSION_COOKIE_NAME,
+    endSession,
+    generateRecoveryPIN,
+    hashSecret,
+    startSession,
+    validateRegistration,
+    verifySecret,
+} from '../services/auth.service.js';
+import {isDuplicateKeyError} from '../utils/errors.js';
+import type {AvatarStorage, StoredAvatar} from '../storage/avatar.storage.js';
+import {loginAttempts} from '../metrics/appMetrics.js';
+
+function makeAuthRouter(avatarStorage: AvatarStorage) {
+    const r = Router();
+
+    r.post('/register', parseAvatarForm, async (req, res, next) => {
+        let stored: StoredAvatar | null = null;
+        let created = false;
+        try {
+            const { errors, value } = validateRegistration(req.body);
+            if (errors) {
+                res.status(400).json({ errors });
+                return;
+            }
+
+            const existing = await User.findOne(
+                { $or: [{ username: value.username }, { email: value.email }] },
+                { username: 1, email: 1 },
+            ).lean();
+            if (existing) {
+                const duplicate: Record<string, string> = {};
+                if (existing.username === value.username) duplicate.username = 'Este nombre de usuario ya está en uso.';
+                if (existing.email === value.email) duplicate.email = 'Este email ya está registrado.';
+                res.status(409).json({ errors: duplicate });
+                return;
+            }
+
+            if (req.file) {
+                stored = await storeAvatar(avatarStorage, req.file.buffer);
+            }
+
+            const recoveryPIN = generateRecoveryPIN();
+            const [password, recoveryPINHash] = await Promise.all([
+                hashSecret(value.password),
+                hashSecret(recoveryPIN),
+            ]);
+
+            const user = await User.create({
+                ...value,
+                ...(stored ? avatarFields(stored) : {}),
+                password,
+                recoveryPIN: recoveryPINHash,
+            });
+            created = true;
+            await startSession(req, user);
+
+            res.status(201).json({ message: 'Usuario registrado correctamente.', recoveryPIN });
+        } catch (e) {
+            if (stored && !created) await removeAvatar(avatarStorage, stored.key);
+            if (e instanceof AvatarValidationError) {
+                res.status(400).json({ errors: { profilePicture: e.publicMessage } });
+                return;
+            }
+            if (isDuplicateKeyError(e)) {
+                const fieldName = Object.keys(e.keyPattern ?? {})[0] ?? 'general';
+                res.status(409).json({ errors: { [fieldName]: 'Este valor ya está registrado.' } });
+                return;
+            }
+            next(e);
+        }
+    });
+
+    r.post('/login', async (req, res, next) => {
+        try {
+            const identifier = typeof req.body?.loginIdentifier === 'string' ? req.body.loginIdentifier.trim() : '';
+            const password = typeof req.body?.password === 'string' ? req.body.password : '';
+
+            const errors: Record<string, string> = {};
+            if (!identifier) errors.loginIdentifier = 'Introduce tu usuario o email.';
+            if (!password) errors.password = 'Introduce tu contraseña.';
+            if (Object.keys(errors).length > 0) {
+                res.status(400).json({ errors });
+                return;
+            }
+
+            const user = await User.findOne(
+                {
+                    ...(identifier.includes('@') ? { email: identifier.toLowerCase() } : { username: identifier }),
+                    userStatus: { $ne: 'deleted' },
+                },
+            ).select('+password');
+
+            if (!user || !(await verifySecret(password, user.password))) {
+                loginAttempts.inc({ result: 'failure' });
+                res.status(401).json({ message: 'Usuario o contraseña incorrectos.' });
+                return;
+            }
+            if (user.userStatus === 'banned') {
+                loginAttempts.inc({ result: 'banned' });
+                res.status(403).json({ message: 'Tu cuenta ha sido suspendida.' });
+                return;
+            }
+
+            await startSession(req, user);
+            loginAttempts.inc({ result: 'success' });
+            res.status(200).json({ message: 'Inicio de sesión correcto.' });
+        } catch (e) { next(e); }
+    });
+
+    r.post('/logout', async (req, res, next) => {
+        try {
+            await endSession(req);
+            res.clearCookie(SESSION_COOKIE_NAME);
+            res.status(200).json({ message: 'Sesión cerrada correctamente.' });
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeAuthRouter;
@@ -0,0 +1,100 @@
+import { Router } from 'express';
+import Category from '../models/category.model.js';
+import Message from '../models/message.model.js';
+import {attachUser, requireRole} from '../middlewares/auth.middleware.js';
+import {canPostIn, findCategoryBySlug, listCategories, parseCategoryInput} from '../services/categories.service.js';
+import {isDuplicateKeyError} from '../utils/errors.js';
+
+const NOT_FOUND = { message: 'Categoría no encontrada.' };
+const CATEGORY_TAKEN = 'Ya existe una categoría con ese nombre o identificador.';
+
+function makeCategoriesRouter() {
+    const r = Router();
+
+    r.get('/', attachUser, async (req, res, next) => {
+        try {
+            const categories = await listCategories();
+            res.status(200).json(categories.map((category) => ({
+                ...category,
+                canPost: canPostIn(category, req.currentUser),
+            })));
+        } catch (e) { next(e); }
+    });
+
+    r.get('/:slug', attachUser, async (req, res, next) => {
+        try {
+            const category = await findCategoryBySlug(req.params.slug).lean();
+            if (!category) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+            res.status(200).json({ ...category, canPost: canPostIn(category, req.currentUser) });
+        } catch (e) { next(e); }
+    });
+
+    r.post('/', requireRole('admin'), async (req, res, next) => {
+        try {
+            const { errors, value } = parseCategoryInput(req.body);
+            if (errors) {
+                res.status(400).json({ message: Object.values(errors)[0], errors });
+                return;
+            }
+
+            const category = await Category.create(value);
+            res.status(201).json(category.toObject());
+        } catch (e) {
+            if (isDuplicateKeyError(e)) {
+                res.status(409).json({ message: CATEGORY_TAKEN });
+                return;
+            }
+            next(e);
+        }
+    });
+
+    r.patch('/:slug', requireRole('admin'), async (req, res, next) => {
+        try {
+            const { errors, value } = parseCategoryInput(req.body, true);
+            if (errors) {
+                res.status(400).json({ message: Object.values(errors)[0], errors });
+                return;
+            }
+
+            const category = await findCategoryBySlug(req.params.slug);
+            if (!category) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            category.set(value);
+            await category.save();
+            res.status(200).json(category.toObject());
+        } catch (e) {
+            if (isDuplicateKeyError(e)) {
+                res.status(409).json({ message: CATEGORY_TAKEN });
+                return;
+            }
+            next(e);
+        }
+    });
+
+    r.delete('/:slug', requireRole('admin'), async (req, res, next) => {
+        try {
+            const category = await findCategoryBySlug(req.params.slug);
+            if (!category) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            if (await Message.exists({ category: category._id })) {
+                res.status(409).json({ message: 'No se puede eliminar una categoría que contiene mensajes.' });
+                return;
+            }
+
+            await category.deleteOne();
+            res.status(200).json({ message: 'Categoría eliminada correctamente.' });
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeCategoriesRouter;
@@ -0,0 +1,42 @@
+import { Router } from 'express';
+import Ticket from '../models/ticket.model.js';
+import User from '../models/user.model.js';
+import {attachUser} from '../middlewares/auth.middleware.js';
+import {validateContact} from '../services/tickets.service.js';
+
+function makeContactRouter() {
+    const r = Router();
+
+    r.post('/', attachUser, async (req, res, next) => {
+        try {
+            const { errors, value } = validateContact(req.body);
+            if (errors) {
+                res.status(400).json({ message: Object.values(errors)[0], errors });
+                return;
+            }
+
+            // A typed username alone proves nothing: anonymous tickets are linked only when the email matches the account.
+            const linkedUser = req.currentUser ?? (value.username
+                ? await User.findOne(
+                    {
+                        username: value.username,
+                        email: value.email,
+                        userStatus: { $ne: 'deleted' },
+                    },
+                    { _id: 1 },
+                ).lean()
+                : null);
+
+            await Ticket.create({
+                ...value,
+                user: linkedUser?._id ?? null,
+                history: [{ from: null, to: 'pendiente' }],
+            });
+
+            res.status(201).json({ message: 'Mensaje enviado correctamente. Te responderemos lo antes posible.' });
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeContactRouter;
@@ -0,0 +1,96 @@
+import { Router } from 'express';
+import User from '../models/user.model.js';
+import {requireAuth} from '../middlewares/auth.middleware.js';
+import {isBlockedBy} from '../services/restrictions.service.js';
+import {
+    addFollow,
+    countFollowers,
+    getFollowCounts,
+    listFollowing,
+    parseHashtagParam,
+    removeFollow,
+} from '../services/follows.service.js';
+
+const USER_NOT_FOUND = { message: 'Usuario no encontrado.' };
+const INVALID_HASHTAG = { message: 'Hashtag no válido.' };
+
+function findFollowableUser(username: string) {
+    return User.findOne({ username, userStatus: { $ne: 'deleted' } }, { _id: 1 }).lean();
+}
+
+function makeFollowsRouter() {
+    const r = Router();
+
+    r.use(requireAuth);
+
+    r.get('/', async (req, res, next) => {
+        try {
+            const userId = req.currentUser!._id;
+            const [following, counts] = await Promise.all([listFollowing(userId), getFollowCounts(userId)]);
+            res.status(200).json({ ...following, ...counts });
+        } catch (e) { next(e); }
+    });
+
+    r.post('/users/:username', async (req, res, next) => {
+        try {
+            const user = await findFollowableUser(req.params.username);
+            if (!user) {
+                res.status(404).json(USER_NOT_FOUND);
+                return;
+            }
+            if (user._id.equals(req.currentUser!._id)) {
+                res.status(400).json({ message: 'No puedes seguirte a ti mismo.' });
+                return;
+            }
+            if (await isBlockedBy(user._id, req.currentUser!._id)) {
+                res.status(403).json({ message: 'Este usuario no permite que le sigas.' });
+                return;
+            }
+
+            await addFollow(req.currentUser!._id, { followedUser: user._id });
+            res.status(200).json({ isFollowing: true, followerCount: await countFollowers(user._id) });
+        } catch (e) { next(e); }
+    });
+
+    r.delete('/users/:username', async (req, res, next) => {
+        try {
+            const user = await findFollowableUser(req.params.username);
+            if (!user) {
+                res.status(404).json(USER_NOT_FOUND);
+                return;
+            }
+
+            await removeFollow(req.currentUser!._id, { followedUser: user._id });
+            res.status(200).json({ isFollowing: false, followerCount: await countFollowers(user._id) });
+        } catch (e) { next(e); }
+    });
+
+    r.post('/hashtags/:tag', async (req, res, next) => {
+        try {
+            const hashtag = parseHashtagParam(req.params.tag);
+            if (!hashtag) {
+                res.status(400).json(INVALID_HASHTAG);
+                return;
+            }
+
+            await addFollow(req.currentUser!._id, { hashtag });
+            res.status(200).json({ hashtag, isFollowing: true });
+        } catch (e) { next(e); }
+    });
+
+    r.delete('/hashtags/:tag', async (req, res, next) => {
+        try {
+            const hashtag = parseHashtagParam(req.params.tag);
+            if (!hashtag) {
+                res.status(400).json(INVALID_HASHTAG);
+                return;
+            }
+
+            await removeFollow(req.currentUser!._id, { hashtag });
+            res.status(200).json({ hashtag, isFollowing: false });
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeFollowsRouter;
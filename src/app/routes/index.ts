@@ -1,13 +1,57 @@
 import makeUsersRouter from "./users.route.js";
+import makeMessagesRouter from "./messages.route.js";
+import makeAuthRouter from "./auth.route.js";
+import makeProfileRouter from "./profile.route.js";
+import makeSearchRouter from "./search.route.js";
+import makeModerationRouter from "./moderation.route.js";
+import makeContactRouter from "./contact.route.js";
+import makeTicketsRouter from "./tickets.route.js";
+import makeAuditRouter from "./audit.route.js";
+import makeUploadsRouter from "./uploads.route.js";
+import makeNotificationsRouter from "./notifications.route.js";
+import makeCategoriesRouter from "./categories.route.js";
+import makeFollowsRouter from "./follows.route.js";
+import makeSharedRouter from "./shared.route.js";
+import LocalAvatarStorage from "../storage/local.storage.js";
+import EventStreamHub from "../realtime/eventStreamHub.js";
 import type {Router} from "express";
+import type {ModerationOptions} from "../services/moderation.service.js";
+import type {MessageOptions} from "../services/messages.service.js";
+import type {AvatarStorage} from "../storage/avatar.storage.js";
 
 export type BuildRouter = {
     basePath: string;
     router: Router;
 }
 
-export function buildRouters(): BuildRouter[] {
+export type RoutersOptions = {
+    moderation?: ModerationOptions;
+    messages?: MessageOptions;
+    avatarStorage?: AvatarStorage;
+    eventStreams?: EventStreamHub;
+}
+
+export function buildRouters(options: RoutersOptions = {}): BuildRouter[] {
+    const avatarStorage = options.avatarStorage ?? new LocalAvatarStorage();
+    const eventStreams = options.eventStreams ?? new EventStreamHub();
+    const uploads: BuildRouter[] = avatarStorage.publicMount
+        ? [{ basePath: avatarStorage.publicMount.basePath, router: makeUploadsRouter(avatarStorage.publicMount.dir) }]
+        : [];
+
     return [
-        { basePath: '/api/users', router: makeUsersRouter() },
+        ...uploads,
+        { basePath: '/js/shared', router: makeSharedRouter() },
+        { basePath: '/', router: makeAuthRouter(avatarStorage) },
+        { basePath: '/api/profile', router: makeProfileRouter(avatarStorage) },
+        { basePath: '/api/users', router: makeUsersRouter(options.moderation) },
+        { basePath: '/api/categories', router: makeCategoriesRouter() },
+        { basePath: '/api/follows', router: makeFollowsRouter() },
+        { basePath: '/api/messages', router: makeMessagesRouter(eventStreams, options.messages) },
+        { basePath: '/api/search', router: makeSearchRouter() },
+        { basePath: '/api/notifications', router: makeNotificationsRouter() },
+        { basePath: '/api/moderation', router: makeModerationRouter(options.moderation ?? {}, eventStreams) },
+        { basePath: '/api/contact', router: makeContactRouter() },
+        { basePath: '/api/admin/tickets', router: makeTicketsRouter() },
+        { basePath: '/api/admin/audit-logs', router: makeAuditRouter() },
     ];
 }
\ No newline at end of file
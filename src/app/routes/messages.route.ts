@@ -0,0 +1,408 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Message from '../models/message.model.js';
+import {attachUser, isStaff, requireAuth, requireRole} from '../middlewares/auth.middleware.js';
+import {
+    DEFAULT_EDIT_WINDOW_MS,
+    adjustReplyCount,
+    buildRevisionHistory,
+    findMessagePage,
+    findPopulatedMessage,
+    parsePage,
+    resolveMentions,
+    serializeMessage,
+    validateMessageInput,
+    type MessageOptions,
+} from '../services/messages.service.js';
+import {notifyLike, notifyMentions, notifyReply} from '../services/notifications.service.js';
+import {canPostIn, findCategoryBySlug} from '../services/categories.service.js';
+import {addBookmark, removeBookmark, withBookmarkFlags} from '../services/bookmarks.service.js';
+import {excludeBlockers, findHiddenSenderIds, isBlockedBy} from '../services/restrictions.service.js';
+import {loadThread, parseThreadOptions} from '../services/thread.service.js';
+import {publishLikeCount, publishNewReply, publishRemoval, publishReplyCount} from '../realtime/messageEvents.js';
+import type EventStreamHub from '../realtime/eventStreamHub.js';
+import {likesToggled, messagesPosted, messagesReported} from '../metrics/appMetrics.js';
+
+const MAX_COUNT_IDS = 100;
+const NOT_FOUND = { message: 'Mensaje no encontrado o ha sido eliminado.' };
+const BLOCKED = { message: 'El autor de este mensaje no permite que interactúes con él.' };
+
+async function findActiveMessage(id: string) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return findPopulatedMessage({ _id: id, messageStatus: 'active' }).lean();
+}
+
+function parseIdList(raw: unknown) {
+    return [...new Set(String(raw ?? '').split(','))]
+        .filter((id) => mongoose.isValidObjectId(id))
+        .slice(0, MAX_COUNT_IDS);
+}
+
+function makeMessagesRouter(streams: EventStreamHub, options: MessageOptions = {}) {
+    const r = Router();
+    const editWindowMs = options.editWindowMs ?? DEFAULT_EDIT_WINDOW_MS;
+
+    r.use(attachUser);
+
+    // Hidden senders are resolved once per connection: a mute or block applies to new streams.
+    r.get('/stream', async (req, res, next) => {
+        try {
+            const ids = parseIdList(req.query.ids);
+            if (ids.length === 0) {
+                res.status(400).json({ message: 'Indica al menos un mensaje al que suscribirse.' });
+                return;
+            }
+            const hiddenSenders = await findHiddenSenderIds(req.currentUser?._id);
+            const opened = streams.open(req, res, { topics: ids, hiddenSenders: hiddenSenders.map(String) });
+            if (opened === 'limited') {
+                res.status(429).json({ message: 'Tienes demasiadas conexiones de actualizaciones en tiempo real abiertas.' });
+            } else if (opened === 'full') {
+                res.status(503).json({ message: 'El servicio de actualizaciones en tiempo real no está disponible.' });
+            }
+        } catch (e) { next(e); }
+    });
+
+    r.get('/counts', async (req, res, next) => {
+        try {
+            const ids = parseIdList(req.query.ids).map((id) => new mongoose.Types.ObjectId(id));
+
+            const rows = await Message.aggregate<{ _id: mongoose.Types.ObjectId; likeCount: number }>([
+                { $match: { _id: { $in: ids }, messageStatus: 'active' } },
+                { $project: { likeCount: { $size: '$likes' } } },
+            ]);
+
+            res.status(200).json(Object.fromEntries(rows.map((row) => [String(row._id), row.likeCount])));
+        } catch (e) { next(e); }
+    });
+
+    r.post('/', requireAuth, async (req, res, next) => {
+        try {
+            const { errors, value } = validateMessageInput(req.body);
+            if (errors) {
+                res.status(400).json({ message: Object.values(errors)[0], errors });
+                return;
+            }
+
+            const category = await findCategoryBySlug(req.body?.category);
+            if (!category) {
+                const error = 'Selecciona una categoría válida.';
+                res.status(400).json({ message: error, errors: { category: error } });
+                return;
+            }
+            if (!canPostIn(category, req.currentUser)) {
+                res.status(403).json({ message: 'No tienes permisos para publicar en esta categoría.' });
+                return;
+            }
+
+            const mentions = await excludeBlockers(await resolveMentions(value), req.currentUser!._id);
+            const created = await Message.create({ ...value, mentions, sender: req.currentUser!._id, category: category._id });
+            messagesPosted.inc({ kind: 'message' });
+            await notifyMentions(mentions, req.currentUser!._id, created._id);
+            const message = await findActiveMessage(String(created._id));
+            res.status(201).json(serializeMessage(message!, String(req.currentUser!._id)));
+        } catch (e) { next(e); }
+    });
+
+    r.get('/edit-policy', (_req, res) => {
+        res.status(200).json({ editWindowMs });
+    });
+
+    r.get('/:id', async (req, res, next) => {
+        try {
+            const message = await findActiveMessage(req.params.id);
+            if (!message) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+            const viewerId = req.currentUser ? String(req.currentUser._id) : null;
+            const [flagged] = await withBookmarkFlags([serializeMessage(message, viewerId)], viewerId);
+            res.status(200).json(flagged);
+        } catch (e) { next(e); }
+    });
+
+    r.patch('/:id', requireAuth, async (req, res, next) => {
+        try {
+            const user = req.currentUser!;
+            const message = mongoose.isValidObjectId(req.params.id)
+                ? await Message.findOne({ _id: req.params.id, messageStatus: 'active' })
+                : null;
+            if (!message) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            const isAuthor = !!message.sender && message.sender.equals(user._id);
+            if (!isAuthor && !isStaff(user)) {
+                res.status(403).json({ message: 'No tienes permisos para editar este mensaje.' });
+                return;
+            }
+            if (!isStaff(user) && Date.now() - message.createdAt.getTime() > editWindowMs) {
+                res.status(403).json({ message: 'El plazo para editar este mensaje ha terminado.' });
+                return;
+            }
+
+            const { errors, value } = validateMessageInput(req.body);
+            if (errors) {
+                res.status(400).json({ message: Object.values(errors)[0], errors });
+                return;
+            }
+
+            const unchanged = value.title === message.title && value.content === message.content &&
+                value.hashtags.join(' ') === message.hashtags.join(' ');
+            if (!unchanged) {
+                const editedAt = new Date();
+                // Staff may edit other people's messages: blocks and notifications belong to the author, not the editor.
+                const author = message.sender ?? user._id;
+                const mentions = await excludeBlockers(await resolveMentions(value), author);
+                const result = await Message.updateOne(
+                    { _id: message._id, messageStatus: 'active', title: message.title, content: message.content },
+                    {
+                        $set: { ...value, mentions, editedAt },
+                        $push: {
+                            revisions: {
+                                title: message.title,
+                                content: message.content,
+                                hashtags: message.hashtags,
+                                editedBy: user._id,
+                                editedAt,
+                            },
+                        },
+                    },
+                );
+                if (result.matchedCount === 0) {
+                    res.status(409).json({ message: 'El mensaje ha cambiado mientras lo editabas. Recarga e inténtalo de nuevo.' });
+                    return;
+                }
+                // Only users added by this edit are notified; earlier mentions were notified when first made.
+                await notifyMentions(mentions, author, message._id, message.mentions);
+            }
+
+            const updated = await findActiveMessage(String(message._id));
+            const [flagged] = await withBookmarkFlags([serializeMessage(updated!, String(user._id))], user._id);
+            res.status(200).json(flagged);
+        } catch (e) { next(e); }
+    });
+
+    r.get('/:id/revisions', requireRole('moderator', 'admin'), async (req, res, next) => {
+        try {
+            const message = mongoose.isValidObjectId(req.params.id)
+                ? await Message.findById(req.params.id)
+                    .select('+revisions')
+                    .populate('sender', 'username')
+                    .populate('revisions.editedBy', 'username')
+                    .lean()
+                : null;
+            if (!message) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            res.status(200).json({
+                messageStatus: message.messageStatus,
+                editedAt: message.editedAt,
+                revisions: buildRevisionHistory(message),
+            });
+        } catch (e) { next(e); }
+    });
+
+    r.delete('/:id', requireAuth, async (req, res, next) => {
+        try {
+            const user = req.currentUser!;
+            const message = mongoose.isValidObjectId(req.params.id)
+                ? await Message.findOne({ _id: req.params.id, messageStatus: 'active' })
+                : null;
+            if (!message) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            const isAuthor = !!message.sender && message.sender.equals(user._id);
+            if (!isAuthor && !isStaff(user)) {
+                res.status(403).json({ message: 'No tienes permisos para eliminar este mensaje.' });
+                return;
+            }
+
+            message.messageStatus = 'deleted';
+            await message.save();
+            publishRemoval(streams, message._id);
+
+            if (message.referencedMessage) {
+                const replyCount = await adjustReplyCount(message.referencedMessage, -1);
+                publishReplyCount(streams, message.referencedMessage, replyCount);
+            }
+
+            res.status(200).json({ message: 'Mensaje eliminado correctamente.' });
+        } catch (e) { next(e); }
+    });
+
+    r.post('/:id/like', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.currentUser!._id;
+            const message = mongoose.isValidObjectId(req.params.id)
+                ? await Message.findOne({ _id: req.params.id, messageStatus: 'active' }, { likes: 1, sender: 1 })
+                : null;
+            if (!message) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            const wasLiked = message.likes.some((id) => id.equals(userId));
+            if (!wasLiked && await isBlockedBy(message.sender, userId)) {
+                res.status(403).json(BLOCKED);
+                return;
+            }
+            // The write only applies if the like is still in the state we read, so concurrent clicks cannot both toggle.
+            const updated = await Message.findOneAndUpdate(
+                { _id: message._id, messageStatus: 'active', likes: wasLiked ? userId : { $ne: userId } },
+                wasLiked ? { $pull: { likes: userId } } : { $addToSet: { likes: userId } },
+                { new: true, projection: { likes: 1 } },
+            );
+            if (!updated) {
+                const current = await Message.findOne({ _id: message._id, messageStatus: 'active' }, { likes: 1 });
+                if (!current) {
+                    res.status(404).json(NOT_FOUND);
+                    return;
+                }
+                res.status(200).json({ likeCount: current.likes.length, isLiked: current.likes.some((id) => id.equals(userId)) });
+                return;
+            }
+
+            const likeCount = updated.likes.length;
+            likesToggled.inc({ action: wasLiked ? 'unlike' : 'like' });
+            publishLikeCount(streams, message._id, likeCount);
+            if (!wasLiked) await notifyLike(message.sender, userId, message._id);
+            res.status(200).json({ likeCount, isLiked: !wasLiked });
+        } catch (e) { next(e); }
+    });
+
+    r.post('/:id/report', requireAuth, async (req, res, next) => {
+        try {
+            const userId = req.currentUser!._id;
+            const message = mongoose.isValidObjectId(req.params.id)
+                ? await Message.findOne({ _id: req.params.id, messageStatus: 'active' }, { sender: 1 })
+                : null;
+            if (!message) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+            if (message.sender?.equals(userId)) {
+                res.status(400).json({ message: 'No puedes reportar tus propios mensajes.' });
+                return;
+            }
+
+            await Message.updateOne({ _id: message._id }, { $addToSet: { reportedBy: userId } });
+            // Only messages nobody has reviewed yet enter the queue: a dismissed report stays closed.
+            await Message.updateOne({ _id: message._id, reportStatus: 'none' }, { $set: { reportStatus: 'pendiente' } });
+            messagesReported.inc();
+
+            res.status(200).json({ isReported: true, message: 'Mensaje reportado. Un moderador lo revisará.' });
+        } catch (e) { next(e); }
+    });
+
+    r.post('/:id/bookmark', requireAuth, async (req, res, next) => {
+        try {
+            const message = mongoose.isValidObjectId(req.params.id)
+                ? await Message.exists({ _id: req.params.id, messageStatus: 'active' })
+                : null;
+            if (!message) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            await addBookmark(req.currentUser!._id, message._id);
+            res.status(200).json({ isBookmarked: true });
+        } catch (e) { next(e); }
+    });
+
+    // Removing does not require the message to still be active, so saved messages that were deleted can be cleared.
+    r.delete('/:id/bookmark', requireAuth, async (req, res, next) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            await removeBookmark(req.currentUser!._id, req.params.id);
+            res.status(200).json({ isBookmarked: false });
+        } catch (e) { next(e); }
+    });
+
+    r.post('/:id/reply', requireAuth, async (req, res, next) => {
+        try {
+            const parent = mongoose.isValidObjectId(req.params.id)
+                ? await Message.findOne({ _id: req.params.id, messageStatus: 'active' }, { sender: 1, category: 1 })
+                : null;
+            if (!parent) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+            if (await isBlockedBy(parent.sender, req.currentUser!._id)) {
+                res.status(403).json(BLOCKED);
+                return;
+            }
+
+            const { errors, value } = validateMessageInput(req.body);
+            if (errors) {
+                res.status(400).json({ message: Object.values(errors)[0], errors });
+                return;
+            }
+
+            const mentions = await excludeBlockers(await resolveMentions(value), req.currentUser!._id);
+            const created = await Message.create({
+                ...value,
+                mentions,
+                sender: req.currentUser!._id,
+                referencedMessage: parent._id,
+                category: parent.category,
+            });
+            messagesPosted.inc({ kind: 'reply' });
+            const replyCount = await adjustReplyCount(parent._id, 1);
+
+            const reply = await findActiveMessage(String(created._id));
+            publishReplyCount(streams, parent._id, replyCount);
+            publishNewReply(streams, parent._id, req.currentUser!._id, serializeMessage(reply!, null));
+            await notifyReply(parent.sender, req.currentUser!._id, created._id);
+            await notifyMentions(mentions, req.currentUser!._id, created._id, [parent.sender]);
+            res.status(201).json(serializeMessage(reply!, String(req.currentUser!._id)));
+        } catch (e) { next(e); }
+    });
+
+    r.get('/:id/replies', async (req, res, next) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            const viewerId = req.currentUser ? String(req.currentUser._id) : null;
+            const hiddenSenders = await findHiddenSenderIds(viewerId);
+            const { docs, totalPages } = await findMessagePage(
+                { referencedMessage: req.params.id, messageStatus: 'active', sender: { $nin: hiddenSenders } },
+                parsePage(req.query.page),
+                { createdAt: 1 },
+            );
+
+            const serialized = docs.map((doc) => serializeMessage(doc, viewerId));
+            res.status(200).json({ docs: await withBookmarkFlags(serialized, viewerId), totalPages });
+        } catch (e) { next(e); }
+    });
+
+    r.get('/:id/thread', async (req, res, next) => {
+        try {
+            const root = mongoose.isValidObjectId(req.params.id)
+                ? await Message.findOne({ _id: req.params.id, messageStatus: 'active' }, { _id: 1 }).lean()
+                : null;
+            if (!root) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            const viewerId = req.currentUser ? String(req.currentUser._id) : null;
+            const options = parseThreadOptions(req.query, viewerId);
+            res.status(200).json(await loadThread(root._id, options));
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeMessagesRouter;
@@ -0,0 +1,102 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Message from '../models/message.model.js';
+import type {UserRole} from '../models/user.model.js';
+import {requireRole} from '../middlewares/auth.middleware.js';
+import {findPopulatedMessages, serializeMessage} from '../services/messages.service.js';
+import {DEFAULT_STRIKE_THRESHOLD, checkReviewPermission, reviewReport, type ModerationOptions} from '../services/moderation.service.js';
+import {notifyMessageModerated, notifyReportReviewed} from '../services/notifications.service.js';
+import {publishRemoval, publishReplyCount} from '../realtime/messageEvents.js';
+import type EventStreamHub from '../realtime/eventStreamHub.js';
+
+const MAX_REPORTS = 100;
+
+function makeModerationRouter(options: ModerationOptions, streams: EventStreamHub) {
+    const r = Router();
+    const strikeThreshold = options.strikeThreshold ?? DEFAULT_STRIKE_THRESHOLD;
+
+    r.use(requireRole('moderator', 'admin'));
+
+    r.get('/reports', async (req, res, next) => {
+        try {
+            const user = req.currentUser!;
+            const status = req.query.status === 'revisado' ? 'revisado' : 'pendiente';
+            if (status === 'revisado' && user.role !== 'admin') {
+                res.status(403).json({ message: 'Solo los administradores pueden consultar reportes revisados.' });
+                return;
+            }
+
+            const messages = await findPopulatedMessages({
+                reportStatus: status,
+                messageStatus: { $ne: 'deleted' },
+            })
+                .populate<{ reportedBy: { _id: mongoose.Types.ObjectId; username: string }[] }>('reportedBy', 'username')
+                .sort({ updatedAt: -1 })
+                .limit(MAX_REPORTS)
+                .lean();
+
+            const viewerId = String(user._id);
+            res.status(200).json(messages.map((message) => ({
+                ...serializeMessage(message, viewerId),
+                reportedBy: message.reportedBy.filter(Boolean),
+                reportResolution: message.reportResolution,
+            })));
+        } catch (e) { next(e); }
+    });
+
+    r.patch('/reports/:id/review', async (req, res, next) => {
+        try {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                res.status(404).json({ message: 'Reporte no encontrado.' });
+                return;
+            }
+
+            const reviewer = req.currentUser!;
+            const uphold = req.body?.action === 'uphold';
+            const report = await Message.findOne({ _id: req.params.id, reportStatus: 'pendiente' })
+                .select('sender')
+                .populate<{ sender: { _id: mongoose.Types.ObjectId; role: UserRole } | null }>('sender', 'role')
+                .lean();
+            if (!report) {
+                res.status(404).json({ message: 'Reporte no encontrado o ya revisado.' });
+                return;
+            }
+
+            const denied = checkReviewPermission(reviewer, report.sender, uphold);
+            if (denied) {
+                res.status(403).json({ message: denied });
+                return;
+            }
+
+            const result = await reviewReport(req.params.id, reviewer, uphold, strikeThreshold);
+            if (!result) {
+                res.status(404).json({ message: 'Reporte no encontrado o ya revisado.' });
+                return;
+            }
+
+            const { message, author } = result;
+            await notifyReportReviewed(message.reportedBy, reviewer._id, message._id, uphold ? 'upheld' : 'dismissed');
+            if (author) await notifyMessageModerated(author._id, message._id, author.strikes);
+            if (result.hidden) {
+                publishRemoval(streams, result.message._id);
+                if (result.message.referencedMessage) {
+                    publishReplyCount(streams, result.message.referencedMessage, result.parentReplyCount);
+                }
+            }
+
+            res.status(200).json({
+                message: uphold
+                    ? 'Reporte aceptado: el mensaje se ha ocultado y se ha sancionado al autor.'
+                    : 'Reporte marcado como revisado.',
+                reportStatus: result.message.reportStatus,
+                reportResolution: result.message.reportResolution,
+                author: result.author
+                    ? { _id: result.author._id, strikes: result.author.strikes, userStatus: result.author.userStatus }
+                    : null,
+            });
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeModerationRouter;
@@ -0,0 +1,54 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Notification from '../models/notification.model.js';
+import {requireAuth} from '../middlewares/auth.middleware.js';
+import {parsePage} from '../services/messages.service.js';
+import {countUnread, findNotificationPage} from '../services/notifications.service.js';
+
+function makeNotificationsRouter() {
+    const r = Router();
+
+    r.use(requireAuth);
+
+    r.get('/', async (req, res, next) => {
+        try {
+            const result = await findNotificationPage(
+                req.currentUser!._id,
+                parsePage(req.query.page),
+                req.query.unread === 'true',
+            );
+            res.status(200).json(result);
+        } catch (e) { next(e); }
+    });
+
+    r.get('/unread-count', async (req, res, next) => {
+        try {
+            res.status(200).json({ unreadCount: await countUnread(req.currentUser!._id) });
+        } catch (e) { next(e); }
+    });
+
+    r.patch('/read-all', async (req, res, next) => {
+        try {
+            await Notification.updateMany({ recipient: req.currentUser!._id, read: false }, { $set: { read: true } });
+            res.status(200).json({ unreadCount: 0 });
+        } catch (e) { next(e); }
+    });
+
+    r.patch('/:id/read', async (req, res, next) => {
+        try {
+            const recipient = req.currentUser!._id;
+            const result = mongoose.isValidObjectId(req.params.id)
+                ? await Notification.updateOne({ _id: req.params.id, recipient }, { $set: { read: true } })
+                : null;
+            if (!result || result.matchedCount === 0) {
+                res.status(404).json({ message: 'Notificación no encontrada.' });
+                return;
+            }
+
+            res.status(200).json({ unreadCount: await countUnread(recipient) });
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeNotificationsRouter;
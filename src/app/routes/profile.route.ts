@@ -0,0 +1,156 @@
+import { Router } from 'express';
+import User from '../models/user.model.js';
+import {requireAuth} from '../middlewares/auth.middleware.js';
+import {parseAvatarForm} from '../middlewares/upload.middleware.js';
+import {accountExportToZip, buildAccountExport, deleteAccount} from '../services/account.service.js';
+import {findBookmarkPage} from '../services/bookmarks.service.js';
+import {parsePage} from '../services/messages.service.js';
+import {listRestrictions, parseRestrictionKind, removeRestriction, setRestriction} from '../services/restrictions.service.js';
+import {SESSION_COOKIE_NAME, endSession, normalizeRecoveryPIN, verifySecret} from '../services/auth.service.js';
+import {AvatarValidationError, avatarFields, removeAvatar, storeAvatar} from '../services/avatar.service.js';
+import {parseProfileUpdate} from '../services/users.service.js';
+import {isDuplicateKeyError} from '../utils/errors.js';
+import type {AvatarStorage, StoredAvatar} from '../storage/avatar.storage.js';
+
+const USERNAME_TAKEN = 'Este nombre de usuario ya está en uso.';
+const USER_NOT_FOUND = { message: 'Usuario no encontrado.' };
+
+function makeProfileRouter(avatarStorage: AvatarStorage) {
+    const r = Router();
+
+    r.use(requireAuth);
+
+    r.get('/', async (req, res, next) => {
+        try {
+            res.status(200).json(req.currentUser!.toJSON());
+        } catch (e) { next(e); }
+    });
+
+    r.patch('/', parseAvatarForm, async (req, res, next) => {
+        let stored: StoredAvatar | null = null;
+        try {
+            const user = req.currentUser!;
+            const { errors, update } = parseProfileUpdate(req.body);
+            if (errors) {
+                res.status(400).json({ message: Object.values(errors)[0], errors });
+                return;
+            }
+
+            if (update.username && update.username !== user.username &&
+                await User.exists({ username: update.username, _id: { $ne: user._id } })) {
+                res.status(409).json({ message: USERNAME_TAKEN, errors: { username: USERNAME_TAKEN } });
+                return;
+            }
+
+            if (req.file) {
+                stored = await storeAvatar(avatarStorage, req.file.buffer);
+            }
+
+            const previousKey = user.profilePictureKey;
+            user.set(update);
+            if (stored) user.set(avatarFields(stored));
+            await user.save();
+
+            if (stored) await removeAvatar(avatarStorage, previousKey);
+            res.status(200).json({ message: 'Perfil actualizado correctamente.', user: user.toJSON() });
+        } catch (e) {
+            if (stored) await removeAvatar(avatarStorage, stored.key);
+            if (e instanceof AvatarValidationError) {
+                res.status(400).json({ message: e.publicMessage, errors: { profilePicture: e.publicMessage } });
+                return;
+            }
+            if (isDuplicateKeyError(e)) {
+                res.status(409).json({ message: USERNAME_TAKEN, errors: { username: USERNAME_TAKEN } });
+                return;
+            }
+            next(e);
+        }
+    });
+
+    r.get('/bookmarks', async (req, res, next) => {
+        try {
+            res.status(200).json(await findBookmarkPage(req.currentUser!._id, parsePage(req.query.page)));
+        } catch (e) { next(e); }
+    });
+
+    r.get('/restrictions', async (req, res, next) => {
+        try {
+            res.status(200).json(await listRestrictions(req.currentUser!._id));
+        } catch (e) { next(e); }
+    });
+
+    r.post('/restrictions', async (req, res, next) => {
+        try {
+            const kind = parseRestrictionKind(req.body?.kind);
+            const username = typeof req.body?.username === 'string' ? req.body.username.trim().replace(/^@/, '') : '';
+            if (!kind || !username) {
+                res.status(400).json({ message: 'Indica un usuario y si quieres silenciarlo o bloquearlo.' });
+                return;
+            }
+
+            const target = await User.findOne({ username, userStatus: { $ne: 'deleted' } }, { _id: 1 }).lean();
+            if (!target) {
+                res.status(404).json(USER_NOT_FOUND);
+                return;
+            }
+            if (target._id.equals(req.currentUser!._id)) {
+                res.status(400).json({ message: 'No puedes silenciarte ni bloquearte a ti mismo.' });
+                return;
+            }
+
+            await setRestriction(req.currentUser!._id, target._id, kind);
+            res.status(200).json(await listRestrictions(req.currentUser!._id));
+        } catch (e) { next(e); }
+    });
+
+    r.delete('/restrictions/:username', async (req, res, next) => {
+        try {
+            const target = await User.findOne({ username: req.params.username }, { _id: 1 }).lean();
+            if (!target) {
+                res.status(404).json(USER_NOT_FOUND);
+                return;
+            }
+
+            await removeRestriction(req.currentUser!._id, target._id);
+            res.status(200).json(await listRestrictions(req.currentUser!._id));
+        } catch (e) { next(e); }
+    });
+
+    r.get('/export', async (req, res, next) => {
+        try {
+            const user = req.currentUser!;
+            const data = await buildAccountExport(user);
+            const baseName = `agoradig-${user.username}-export`;
+
+            if (req.query.format === 'zip') {
+                res.attachment(`${baseName}.zip`).type('application/zip').send(accountExportToZip(data));
+                return;
+            }
+            res.attachment(`${baseName}.json`).type('application/json').send(JSON.stringify(data, null, 2));
+        } catch (e) { next(e); }
+    });
+
+    r.delete('/', async (req, res, next) => {
+        try {
+            const recoveryPIN = normalizeRecoveryPIN(req.body?.recoveryPIN);
+            if (!recoveryPIN) {
+                res.status(400).json({ message: 'Introduce tu PIN de recuperación.' });
+                return;
+            }
+
+            const user = await User.findById(req.currentUser!._id).select('+recoveryPIN');
+            if (!user || !(await verifySecret(recoveryPIN, user.recoveryPIN))) {
+                res.status(403).json({ message: 'El PIN de recuperación no es correcto.' });
+                return;
+            }
+
+            await deleteAccount(user, avatarStorage);
+            await endSession(req);
+            res.clearCookie(SESSION_COOKIE_NAME);
+            res.status(200).json({ message: 'Tu cuenta ha sido eliminada y tus datos anonimizados.' });
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeProfileRouter;
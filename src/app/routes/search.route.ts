@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import {attachUser} from '../middlewares/auth.middleware.js';
+import {parsePage} from '../services/messages.service.js';
+import {parseDateRange, parseFeedMode, parseSort, searchMessages} from '../services/search.service.js';
+
+function makeSearchRouter() {
+    const r = Router();
+
+    r.get('/', attachUser, async (req, res, next) => {
+        try {
+            const feed = parseFeedMode(req.query.feed);
+            if (feed === 'following' && !req.currentUser) {
+                res.status(401).json({ message: 'Inicia sesión para ver los mensajes de quienes sigues.' });
+                return;
+            }
+
+            const result = await searchMessages({
+                q: typeof req.query.q === 'string' ? req.query.q.trim() : '',
+                sort: parseSort(req.query.sort),
+                dateRange: parseDateRange(req.query.dateRange),
+                page: parsePage(req.query.page),
+                feed,
+                category: typeof req.query.category === 'string' ? req.query.category.trim() : '',
+                viewerId: req.currentUser ? String(req.currentUser._id) : null,
+            });
+            res.status(200).json(result);
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeSearchRouter;
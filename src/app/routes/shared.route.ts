@@ -0,0 +1,25 @@
+import express, { Router } from 'express';
+import {fileURLToPath} from 'node:url';
+
+const SHARED_DIR = fileURLToPath(new URL('../shared/', import.meta.url));
+
+function makeSharedRouter() {
+    const r = Router();
+
+    // Only the compiled modules are public; declarations and source maps stay private.
+    r.use((req, res, next) => {
+        if (!req.path.endsWith('.js')) {
+            res.status(404).json({ error: 'Not Found', path: req.originalUrl });
+            return;
+        }
+        next();
+    });
+    r.use(express.static(SHARED_DIR, {
+        index: false,
+        dotfiles: 'deny',
+        maxAge: '1h',
+    }));
+
+    return r;
+}
+export default makeSharedRouter;
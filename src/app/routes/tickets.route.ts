@@ -0,0 +1,152 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Ticket, {TICKET_STATUSES, type TicketStatus} from '../models/ticket.model.js';
+import User from '../models/user.model.js';
+import {requireRole} from '../middlewares/auth.middleware.js';
+import {ASSIGNEE_FIELDS} from '../services/tickets.service.js';
+import {stringField} from '../utils/body.js';
+
+const MAX_TICKETS = 200;
+const NOT_FOUND = { message: 'Ticket no encontrado.' };
+
+function isTicketStatus(value: unknown): value is TicketStatus {
+    return TICKET_STATUSES.includes(value as TicketStatus);
+}
+
+function withRefs<Q extends { populate: (path: string, select: string) => Q }>(query: Q) {
+    return query
+        .populate('user', 'username')
+        .populate('assignedTo', ASSIGNEE_FIELDS)
+        .populate('notes.author', 'username')
+        .populate('history.changedBy', 'username');
+}
+
+function findTicket(id: string) {
+    return withRefs(Ticket.findById(id));
+}
+
+function makeTicketsRouter() {
+    const r = Router();
+
+    r.use(requireRole('admin'));
+
+    r.param('id', (_req, res, next, id) => {
+        if (!mongoose.isValidObjectId(id)) {
+            res.status(404).json(NOT_FOUND);
+            return;
+        }
+        next();
+    });
+
+    r.get('/', async (req, res, next) => {
+        try {
+            const filter: Record<string, unknown> = {};
+            const status = req.query.status ?? 'pendiente';
+            if (status !== 'all') {
+                if (!isTicketStatus(status)) {
+                    res.status(400).json({ message: 'Estado de ticket no válido.' });
+                    return;
+                }
+                filter.status = status;
+            }
+            if (req.query.assignedTo === 'me') {
+                filter.assignedTo = req.currentUser!._id;
+            }
+
+            const tickets = await withRefs(Ticket.find(filter))
+                .sort({ createdAt: -1 })
+                .limit(MAX_TICKETS)
+                .lean();
+
+            res.status(200).json(tickets);
+        } catch (e) { next(e); }
+    });
+
+    r.get('/:id', async (req, res, next) => {
+        try {
+            const ticket = await findTicket(req.params.id).lean();
+            if (!ticket) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+            res.status(200).json(ticket);
+        } catch (e) { next(e); }
+    });
+
+    r.patch('/:id/status', async (req, res, next) => {
+        try {
+            const status = req.body?.status;
+            if (!isTicketStatus(status)) {
+                res.status(400).json({ message: 'Estado de ticket no válido.' });
+                return;
+            }
+
+            const ticket = await Ticket.findById(req.params.id);
+            if (!ticket) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            if (ticket.status !== status) {
+                ticket.history.push({ from: ticket.status, to: status, changedBy: req.currentUser!._id });
+                ticket.status = status;
+            }
+
+            const note = stringField(req.body, 'note');
+            if (note) {
+                ticket.notes.push({ author: req.currentUser!._id, text: note });
+            }
+            await ticket.save();
+
+            res.status(200).json({ message: 'Ticket actualizado.', ticket: await findTicket(req.params.id).lean() });
+        } catch (e) { next(e); }
+    });
+
+    r.patch('/:id/assign', async (req, res, next) => {
+        try {
+            const username = stringField(req.body, 'username');
+            let assigneeId: mongoose.Types.ObjectId | null = null;
+
+            if (username) {
+                const assignee = await User.findOne({ username, role: 'admin' }, { _id: 1 }).lean();
+                if (!assignee) {
+                    res.status(400).json({ message: 'Solo se puede asignar el ticket a un administrador existente.' });
+                    return;
+                }
+                assigneeId = assignee._id;
+            }
+
+            const ticket = await Ticket.findByIdAndUpdate(req.params.id, { assignedTo: assigneeId });
+            if (!ticket) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            res.status(200).json({ message: 'Asignación actualizada.', ticket: await findTicket(req.params.id).lean() });
+        } catch (e) { next(e); }
+    });
+
+    r.post('/:id/notes', async (req, res, next) => {
+        try {
+            const text = stringField(req.body, 'text');
+            if (!text || text.length > 1000) {
+                res.status(400).json({ message: 'La nota debe tener entre 1 y 1000 caracteres.' });
+                return;
+            }
+
+            const ticket = await Ticket.findByIdAndUpdate(
+                req.params.id,
+                { $push: { notes: { author: req.currentUser!._id, text } } },
+            );
+            if (!ticket) {
+                res.status(404).json(NOT_FOUND);
+                return;
+            }
+
+            res.status(201).json({ message: 'Nota añadida.', ticket: await findTicket(req.params.id).lean() });
+        } catch (e) { next(e); }
+    });
+
+    return r;
+}
+export default makeTicketsRouter;
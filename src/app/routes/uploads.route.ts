@@ -0,0 +1,16 @@
+import express, { Router } from 'express';
+
+function makeUploadsRouter(dir: string) {
+    const r = Router();
+
+    // Uploaded files get a fresh key on every change, so their URLs never need revalidation.
+    r.use(express.static(dir, {
+        index: false,
+        dotfiles: 'deny',
+        immutable: true,
+        maxAge: '365d',
+    }));
+
+    return r;
+}
+export default makeUploadsRouter;
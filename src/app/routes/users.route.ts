@@ -1,19 +1,192 @@
 import { Router } from 'express';
+import User from '../models/user.model.js';
+import {attachUser, isStaff, requireRole} from '../middlewares/auth.middleware.js';
+import {diffFields, recordAudit} from '../services/audit.service.js';
+import {notifyAccountUpdated} from '../services/notifications.service.js';
+import {
+    generateRecoveryPIN,
+    hashSecret,
+    validatePasswordReset,
+    verifyRecoveryPIN,
+} from '../services/auth.service.js';
+import {
+    ACCOUNT_RESET_POLICY,
+    IP_RESET_POLICY,
+    clearFailures,
+    registerFailure,
+    remainingLockMs,
+} from '../services/lockout.service.js';
+import {DEFAULT_STRIKE_THRESHOLD, type ModerationOptions} from '../services/moderation.service.js';
+import {findMessagePage, parsePage, serializeMessage} from '../services/messages.service.js';
+import {withBookmarkFlags} from '../services/bookmarks.service.js';
+import {getFollowCounts, isFollowing} from '../services/follows.service.js';
+import {
+    checkAdminUpdatePermission,
+    findUsernameSuggestions,
+    getUserStats,
+    parseAdminUpdate,
+    toPublicProfile,
+} from '../services/users.service.js';
 
-function makeUsersRouter() {
+const ACCOUNT_DELETED = 'Esta cuenta ha sido eliminada.';
+
+function makeUsersRouter(options: ModerationOptions = {}) {
     const r = Router();
+    const strikeThreshold = options.strikeThreshold ?? DEFAULT_STRIKE_THRESHOLD;
+
+    r.post('/reset-password', async (req, res, next) => {
+        try {
+            const { errors, value } = validatePasswordReset(req.body);
+            if (errors) {
+                res.status(400).json({ message: Object.values(errors)[0], errors });
+                return;
+            }
+
+            const accountKey = `reset:account:${value.email}`;
+            const lockoutKeys = [
+                { key: accountKey, policy: ACCOUNT_RESET_POLICY },
+                { key: `reset:ip:${req.ip}`, policy: IP_RESET_POLICY },
+            ];
+
+            const lockedMs = await remainingLockMs(lockoutKeys);
+            if (lockedMs > 0) {
+                const minutes = Math.ceil(lockedMs / 60_000);
+                res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+                res.status(429).json({
+                    message: `Demasiados intentos fallidos. Inténtalo de nuevo en ${minutes} minuto${minutes === 1 ? '' : 's'}.`,
+                });
+                return;
+            }
+
+            const user = await User.findOne({ email: value.email, userStatus: { $ne: 'deleted' } })
+                .select('+recoveryPIN');
+            const isValid = await verifyRecoveryPIN(value.recoveryPIN, user?.recoveryPIN);
+            if (!user || !isValid) {
+                await registerFailure(lockoutKeys);
+                res.status(401).json({ message: 'El email o el PIN de recuperación no son correctos.' });
+                return;
+            }
+
+            const recoveryPIN = generateRecoveryPIN();
+            const [password, recoveryPINHash] = await Promise.all([
+                hashSecret(value.newPassword),
+                hashSecret(recoveryPIN),
+            ]);
+            await User.updateOne(
+                { _id: user._id },
+                { $set: { password, recoveryPIN: recoveryPINHash }, $inc: { sessionVersion: 1 } },
+            );
+            await clearFailures(accountKey);
+
+            res.status(200).json({
+                message: 'Contraseña restablecida. Guarda tu nuevo PIN de recuperación: el anterior ya no es válido.',
+                recoveryPIN,
+            });
+        } catch (e) { next(e); }
+    });
+
+    r.get('/suggestions', async (req, res, next) => {
+        try {
+            res.status(200).json(await findUsernameSuggestions(req.query.prefix));
+        } catch (e) { next(e); }
+    });
 
-    r.get('/', async (_req, res, next) => {
-        try { res.status(200).json({ response: 'ok', code: 200 }); }
-        catch (e) { next(e); }
+    r.get('/username/:username', attachUser, async (req, res, next) => {
+        try {
+            const user = await User.findOne({ username: req.params.username });
+            if (!user) {
+                res.status(404).json({ message: 'Usuario no encontrado.' });
+                return;
+            }
+            if (user.userStatus === 'deleted') {
+                res.status(410).json({ message: ACCOUNT_DELETED });
+                return;
+            }
+
+            const viewer = req.currentUser;
+            const [stats, followCounts, following] = await Promise.all([
+                getUserStats(user._id),
+                getFollowCounts(user._id),
+                isFollowing(viewer?._id, { followedUser: user._id }),
+            ]);
+            res.status(200).json({
+                ...toPublicProfile(user, isStaff(viewer)),
+                stats: { ...stats, ...followCounts },
+                isFollowing: following,
+            });
+        } catch (e) { next(e); }
+    });
+
+    r.get('/username/:username/messages', attachUser, async (req, res, next) => {
+        try {
+            const user = await User.findOne({ username: req.params.username }, { _id: 1, userStatus: 1 }).lean();
+            if (!user) {
+                res.status(404).json({ message: 'Usuario no encontrado.' });
+                return;
+            }
+            if (user.userStatus === 'deleted') {
+                res.status(410).json({ message: ACCOUNT_DELETED });
+                return;
+            }
+
+            const filter: Record<string, unknown> = { sender: user._id, messageStatus: 'active' };
+            if (req.query.type === 'messages') filter.referencedMessage = null;
+            if (req.query.type === 'replies') filter.referencedMessage = { $ne: null };
+
+            const viewerId = req.currentUser ? String(req.currentUser._id) : null;
+            const { docs, totalPages } = await findMessagePage(filter, parsePage(req.query.page));
+            const serialized = docs.map((doc) => serializeMessage(doc, viewerId));
+            res.status(200).json({ docs: await withBookmarkFlags(serialized, viewerId), totalPages });
+        } catch (e) { next(e); }
     });
 
-    r.post('/', async (req, res, next) => {
+    r.patch('/:username/admin-update', requireRole('moderator', 'admin'), async (req, res, next) => {
         try {
-            res.status(201).json({ response: 'created', payload: req.body ?? null });
+            const actor = req.currentUser!;
+            const { errors, update } = parseAdminUpdate(req.body);
+            if (errors) {
+                res.status(400).json({ message: Object.values(errors)[0], errors });
+                return;
+            }
+
+            const target = await User.findOne({ username: req.params.username });
+            if (!target) {
+                res.status(404).json({ message: 'Usuario no encontrado.' });
+                return;
+            }
+            if (target.userStatus === 'deleted') {
+                res.status(410).json({ message: ACCOUNT_DELETED });
+                return;
+            }
+
+            const denied = checkAdminUpdatePermission(actor, target, update);
+            if (denied) {
+                res.status(403).json({ message: denied });
+                return;
+            }
+
+            const before = { role: target.role, userStatus: target.userStatus, strikes: target.strikes };
+            const crossesThreshold = update.strikes !== undefined &&
+                update.strikes >= strikeThreshold && before.strikes < strikeThreshold;
+            if (crossesThreshold && update.userStatus === undefined) {
+                update.userStatus = 'banned';
+            }
+
+            const changes = diffFields(before, update);
+            if (changes.length > 0) {
+                target.set(update);
+                await target.save();
+                await recordAudit({ action: 'admin-update', actor, target, changes, ip: req.ip });
+                await notifyAccountUpdated(target._id, actor._id, changes);
+            }
+
+            res.status(200).json({
+                message: changes.length > 0 ? 'Usuario actualizado correctamente.' : 'No hay cambios que guardar.',
+                user: { username: target.username, role: target.role, userStatus: target.userStatus, strikes: target.strikes },
+            });
         } catch (e) { next(e); }
     });
 
     return r;
 }
-export default makeUsersRouter;
\ No newline at end of file
+export default makeUsersRouter;
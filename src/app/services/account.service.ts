@@ -0,0 +1,99 @@
+import Bookmark from '../models/bookmark.model.js';
+import Follow from '../models/follow.model.js';
+import Restriction from '../models/restriction.model.js';
+import Message from '../models/message.model.js';
+import Notification from '../models/notification.model.js';
+import Ticket from '../models/ticket.model.js';
+import User, {DEFAULT_PROFILE_PICTURE, type UserDocument} from '../models/user.model.js';
+import {createZip} from '../utils/zip.js';
+import {removeAvatar} from './avatar.service.js';
+import {listFollowing} from './follows.service.js';
+import {listRestrictions} from './restrictions.service.js';
+import type {AvatarStorage} from '../storage/avatar.storage.js';
+
+export type AccountExport = Awaited<ReturnType<typeof buildAccountExport>>;
+
+// Tickets stay with the support team after an account is deleted, without anything that identifies the sender.
+const ANONYMOUS_TICKET_SENDER = { name: 'Usuario eliminado', email: 'eliminado@agoradig.invalid', username: '' };
+
+export async function buildAccountExport(user: UserDocument) {
+    const [messages, likes, reports, bookmarks, following, restrictions, tickets] = await Promise.all([
+        Message.find({ sender: user._id })
+            .select('title content hashtags referencedMessage likes replyCount messageStatus createdAt updatedAt')
+            .sort({ createdAt: 1 })
+            .lean(),
+        Message.find({ likes: user._id }, { title: 1, createdAt: 1 }).sort({ createdAt: 1 }).lean(),
+        Message.find({ reportedBy: user._id }, { title: 1, reportStatus: 1, createdAt: 1 }).sort({ createdAt: 1 }).lean(),
+        Bookmark.find({ user: user._id }, { _id: 0, message: 1, createdAt: 1 }).sort({ createdAt: 1 }).lean(),
+        listFollowing(user._id),
+        listRestrictions(user._id),
+        // Staff notes and assignments are internal and stay out of the export.
+        Ticket.find({ user: user._id })
+            .select('-_id name email username subject message status createdAt updatedAt')
+            .sort({ createdAt: 1 })
+            .lean(),
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile: user.toJSON({ flattenMaps: true }),
+        messages: messages.map(({ likes: likedBy, ...message }) => ({ ...message, likeCount: likedBy.length })),
+        likes,
+        reports,
+        bookmarks,
+        following,
+        restrictions,
+        tickets,
+    };
+}
+
+export function accountExportToZip(data: AccountExport) {
+    const json = (value: unknown) => JSON.stringify(value, null, 2);
+    return createZip([
+        { name: 'profile.json', data: json({ exportedAt: data.exportedAt, ...data.profile }) },
+        { name: 'messages.json', data: json(data.messages) },
+        { name: 'likes.json', data: json(data.likes) },
+        { name: 'reports.json', data: json(data.reports) },
+        { name: 'bookmarks.json', data: json(data.bookmarks) },
+        { name: 'following.json', data: json(data.following) },
+        { name: 'restrictions.json', data: json(data.restrictions) },
+        { name: 'tickets.json', data: json(data.tickets) },
+    ]);
+}
+
+/**
+ * Anonymises an account: messages stay but lose their author, personal data is removed
+ * and every open session stops being valid. The username is kept as a tombstone.
+ */
+export async function deleteAccount(user: UserDocument, avatarStorage: AvatarStorage) {
+    await Message.updateMany({ sender: user._id }, { $set: { sender: null } });
+    await Notification.deleteMany({ recipient: user._id });
+    await Bookmark.deleteMany({ user: user._id });
+    await Follow.deleteMany({ $or: [{ follower: user._id }, { followedUser: user._id }] });
+    await Restriction.deleteMany({ $or: [{ owner: user._id }, { target: user._id }] });
+    await Ticket.updateMany({ user: user._id }, { $set: { ...ANONYMOUS_TICKET_SENDER, user: null } });
+
+    await User.updateOne({ _id: user._id }, {
+        $set: {
+            userStatus: 'deleted',
+            deletedAt: new Date(),
+            role: 'user',
+            description: '',
+            profilePicturePath: DEFAULT_PROFILE_PICTURE,
+            acceptsPublicity: false,
+        },
+        $unset: {
+            firstName: 1,
+            lastName: 1,
+            email: 1,
+            password: 1,
+            recoveryPIN: 1,
+            dateOfBirth: 1,
+            profilePictureKey: 1,
+            profilePictureVariants: 1,
+        },
+        $inc: { sessionVersion: 1 },
+    });
+
+    await removeAvatar(avatarStorage, user.profilePictureKey);
+}
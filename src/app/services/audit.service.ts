@@ -0,0 +1,31 @@
+import AuditLog, {type AuditAction} from '../models/auditLog.model.js';
+import type {Types} from 'mongoose';
+
+export type AuditParty = { _id: Types.ObjectId; username: string };
+export type AuditChange = { field: string; from: unknown; to: unknown };
+
+export function diffFields<T extends Record<string, unknown>>(before: T, after: Partial<T>): AuditChange[] {
+    return Object.entries(after)
+        .filter(([field, value]) => value !== undefined && before[field] !== value)
+        .map(([field, value]) => ({ field, from: before[field] ?? null, to: value }));
+}
+
+export async function recordAudit(entry: {
+    action: AuditAction;
+    actor: AuditParty | null;
+    target: AuditParty;
+    changes: AuditChange[];
+    ip?: string | null;
+}) {
+    if (entry.changes.length === 0) return null;
+
+    return AuditLog.create({
+        action: entry.action,
+        actor: entry.actor?._id ?? null,
+        actorUsername: entry.actor?.username ?? 'system',
+        target: entry.target._id,
+        targetUsername: entry.target.username,
+        changes: entry.changes,
+        ip: entry.ip ?? null,
+    });
+}
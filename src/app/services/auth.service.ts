@@ -0,0 +1,185 @@
+import crypto from 'node:crypto';
+import bcrypt from 'bcrypt';
+import type {Request} from 'express';
+import type {Store} from 'express-session';
+import type {UserDocument} from '../models/user.model.js';
+import {stringField, type RequestBody} from '../utils/body.js';
+import type {ReadinessCheck} from '../utils/readiness.js';
+
+const BCRYPT_ROUNDS = 12;
+const PIN_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PIN_LENGTH = 16;
+const MIN_AGE = 16;
+
+export const SESSION_COOKIE_NAME = 'agoradig.sid';
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,20}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+export type RegistrationInput = {
+    firstName: string;
+    lastName: string;
+    username: string;
+    email: string;
+    password: string;
+    dateOfBirth: Date;
+    acceptsPublicity: boolean;
+};
+
+export function hashSecret(secret: string) {
+    return bcrypt.hash(secret, BCRYPT_ROUNDS);
+}
+
+export function verifySecret(secret: string, hash: string | null | undefined) {
+    if (!hash) return Promise.resolve(false);
+    return bcrypt.compare(secret, hash);
+}
+
+export function generateRecoveryPIN() {
+    let pin = '';
+    for (let i = 0; i < PIN_LENGTH; i++) {
+        pin += PIN_ALPHABET[crypto.randomInt(PIN_ALPHABET.length)];
+    }
+    return pin;
+}
+
+export function normalizeRecoveryPIN(pin: unknown) {
+    return typeof pin === 'string' ? pin.trim().toUpperCase() : '';
+}
+
+export function isValidUsername(username: string) {
+    return USERNAME_PATTERN.test(username);
+}
+
+export function isValidEmail(email: string) {
+    return EMAIL_PATTERN.test(email);
+}
+
+function ageOn(birth: Date, today: Date) {
+    let age = today.getFullYear() - birth.getFullYear();
+    const beforeBirthday =
+        today.getMonth() < birth.getMonth() ||
+        (today.getMonth() === birth.getMonth() && today.getDate() < birth.getDate());
+    if (beforeBirthday) age--;
+    return age;
+}
+
+export function validateRegistration(body: RequestBody) {
+    const errors: Record<string, string> = {};
+
+    const firstName = stringField(body, 'firstName');
+    const lastName = stringField(body, 'lastName');
+    const username = stringField(body, 'username');
+    const email = stringField(body, 'email').toLowerCase();
+    const confirmEmail = stringField(body, 'confirmEmail').toLowerCase();
+    const password = typeof body?.password === 'string' ? body.password : '';
+    const confirmPassword = typeof body?.confirmPassword === 'string' ? body.confirmPassword : '';
+    const dateOfBirth = new Date(stringField(body, 'dateOfBirth'));
+
+    if (!firstName) errors.firstName = 'El nombre es obligatorio.';
+    else if (firstName.length > 50) errors.firstName = 'El nombre no puede superar los 50 caracteres.';
+
+    if (!lastName) errors.lastName = 'Los apellidos son obligatorios.';
+    else if (lastName.length > 80) errors.lastName = 'Los apellidos no pueden superar los 80 caracteres.';
+
+    if (!isValidUsername(username)) {
+        errors.username = 'El nombre de usuario debe tener entre 3 y 20 caracteres (letras, números, "_", "." o "-").';
+    }
+
+    if (!isValidEmail(email)) errors.email = 'Introduce un email válido.';
+    else if (email !== confirmEmail) errors.confirmEmail = 'Los emails no coinciden.';
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        errors.password = `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`;
+    } else if (password !== confirmPassword) {
+        errors.confirmPassword = 'Las contraseñas no coinciden.';
+    }
+
+    if (Number.isNaN(dateOfBirth.getTime())) {
+        errors.dateOfBirth = 'Introduce una fecha de nacimiento válida.';
+    } else if (ageOn(dateOfBirth, new Date()) < MIN_AGE) {
+        errors.dateOfBirth = `Debes tener al menos ${MIN_AGE} años para registrarte.`;
+    }
+
+    if (!body?.acceptTermsandConditions) {
+        errors.acceptTermsandConditions = 'Debes aceptar los Términos y Condiciones.';
+        errors.general = errors.acceptTermsandConditions;
+    }
+
+    const value: RegistrationInput = {
+        firstName,
+        lastName,
+        username,
+        email,
+        password,
+        dateOfBirth,
+        acceptsPublicity: !!body?.acceptsPublicity,
+    };
+
+    return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+}
+
+export type PasswordResetInput = { email: string; recoveryPIN: string; newPassword: string };
+
+export function validatePasswordReset(body: RequestBody) {
+    const errors: Record<string, string> = {};
+    const value: PasswordResetInput = {
+        email: stringField(body, 'email').toLowerCase(),
+        recoveryPIN: normalizeRecoveryPIN(body?.recoveryPIN),
+        newPassword: typeof body?.newPassword === 'string' ? body.newPassword : '',
+    };
+    const confirmPassword = typeof body?.confirmPassword === 'string' ? body.confirmPassword : '';
+
+    if (!isValidEmail(value.email)) errors.email = 'Introduce un email válido.';
+    if (!value.recoveryPIN) errors.recoveryPIN = 'Introduce tu PIN de recuperación.';
+    if (value.newPassword.length < MIN_PASSWORD_LENGTH) {
+        errors.newPassword = `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres.`;
+    } else if (value.newPassword !== confirmPassword) {
+        errors.confirmPassword = 'Las contraseñas no coinciden.';
+    }
+
+    return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+}
+
+let dummyHash: Promise<string> | null = null;
+
+/**
+ * Compares the PIN against the account's hash, or against a throwaway hash when there is
+ * no account, so both paths cost one bcrypt comparison.
+ */
+export async function verifyRecoveryPIN(pin: string, hash: string | null | undefined) {
+    if (hash) return verifySecret(pin, hash);
+    dummyHash ??= hashSecret(generateRecoveryPIN());
+    await verifySecret(pin, await dummyHash);
+    return false;
+}
+
+export function startSession(req: Request, user: UserDocument) {
+    return new Promise<void>((resolve, reject) => {
+        req.session.regenerate((err) => {
+            if (err) return reject(err);
+            req.session.userId = String(user._id);
+            req.session.sessionVersion = user.sessionVersion;
+            req.session.save((saveErr) => (saveErr ? reject(saveErr) : resolve()));
+        });
+    });
+}
+
+export function endSession(req: Request) {
+    return new Promise<void>((resolve, reject) => {
+        if (!req.session) return resolve();
+        req.session.destroy((err) => (err ? reject(err) : resolve()));
+    });
+}
+
+// Looking up a session that cannot exist exercises the store's backend without writing to it.
+export function sessionStoreReadinessCheck(store: Store): ReadinessCheck {
+    return {
+        name: 'session-store',
+        check: () => new Promise<void>((resolve, reject) => {
+            store.get('readiness-probe', (err) => (err ? reject(err) : resolve()));
+        }),
+    };
+}
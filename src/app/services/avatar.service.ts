@@ -0,0 +1,65 @@
+import crypto from 'node:crypto';
+import sharp from 'sharp';
+import {detectImageType} from '../utils/imageType.js';
+import {logger} from '../utils/logger.js';
+import type {AvatarStorage, AvatarVariant, StoredAvatar} from '../storage/avatar.storage.js';
+
+export const AVATAR_SIZES = [64, 128, 256] as const;
+export const PRIMARY_AVATAR_SIZE = 256;
+
+const ACCEPTED_TYPES = ['png', 'jpeg', 'webp'];
+const MAX_INPUT_PIXELS = 40_000_000;
+
+export class AvatarValidationError extends Error {
+    readonly statusCode = 400;
+    readonly publicMessage: string;
+
+    constructor(message: string) {
+        super(message);
+        this.name = 'AvatarValidationError';
+        this.publicMessage = message;
+    }
+}
+
+export async function processAvatar(buffer: Buffer): Promise<AvatarVariant[]> {
+    const type = detectImageType(buffer);
+    if (!type || !ACCEPTED_TYPES.includes(type)) {
+        throw new AvatarValidationError('La imagen debe ser PNG, JPEG o WebP.');
+    }
+
+    try {
+        // rotate() applies the EXIF orientation; metadata is dropped on output.
+        const source = sharp(buffer, { failOn: 'error', limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+        return await Promise.all(AVATAR_SIZES.map(async (size) => ({
+            size,
+            buffer: await source.clone()
+                .resize(size, size, { fit: 'cover', position: 'attention' })
+                .webp({ quality: 82 })
+                .toBuffer(),
+        })));
+    } catch {
+        throw new AvatarValidationError('No se ha podido procesar la imagen.');
+    }
+}
+
+export async function storeAvatar(storage: AvatarStorage, buffer: Buffer): Promise<StoredAvatar> {
+    const variants = await processAvatar(buffer);
+    return storage.save(crypto.randomUUID(), variants);
+}
+
+export function avatarFields(stored: StoredAvatar) {
+    return {
+        profilePicturePath: stored.urls[PRIMARY_AVATAR_SIZE],
+        profilePictureKey: stored.key,
+        profilePictureVariants: Object.fromEntries(Object.entries(stored.urls)),
+    };
+}
+
+export async function removeAvatar(storage: AvatarStorage, key: string | null | undefined) {
+    if (!key) return;
+    try {
+        await storage.remove(key);
+    } catch (err) {
+        logger.error('Failed to remove avatar', { key, err });
+    }
+}
@@ -0,0 +1,63 @@
+import type {Types} from 'mongoose';
+import Bookmark from '../models/bookmark.model.js';
+import {PAGE_SIZE, findPopulatedMessages, serializeMessage} from './messages.service.js';
+
+type Id = Types.ObjectId | string;
+
+export async function findBookmarkedIds(viewerId: Id | null | undefined, messageIds: Id[]) {
+    if (!viewerId || messageIds.length === 0) return new Set<string>();
+
+    const bookmarks = await Bookmark.find({ user: viewerId, message: { $in: messageIds } }, { message: 1 }).lean();
+    return new Set(bookmarks.map((bookmark) => String(bookmark.message)));
+}
+
+export async function withBookmarkFlags<T extends { _id: Id }>(messages: T[], viewerId: Id | null | undefined) {
+    const bookmarked = await findBookmarkedIds(viewerId, messages.map((message) => message._id));
+    return messages.map((message) => ({ ...message, isBookmarked: bookmarked.has(String(message._id)) }));
+}
+
+export async function addBookmark(user: Id, message: Id) {
+    await Bookmark.updateOne(
+        { user, message },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true },
+    );
+}
+
+export async function removeBookmark(user: Id, message: Id) {
+    await Bookmark.deleteOne({ user, message });
+}
+
+/**
+ * Bookmarks are listed in the order they were saved. Messages that have since been deleted
+ * or hidden come back as `message: null` so the client can show a placeholder without leaking them.
+ */
+export async function findBookmarkPage(user: Types.ObjectId, page: number) {
+    const [bookmarks, total] = await Promise.all([
+        Bookmark.find({ user })
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * PAGE_SIZE)
+            .limit(PAGE_SIZE)
+            .lean(),
+        Bookmark.countDocuments({ user }),
+    ]);
+
+    const messages = await findPopulatedMessages({
+        _id: { $in: bookmarks.map((bookmark) => bookmark.message) },
+        messageStatus: 'active',
+    }).lean();
+    const byId = new Map(messages.map((message) => [String(message._id), message]));
+
+    const viewerId = String(user);
+    return {
+        docs: bookmarks.map((bookmark) => {
+            const message = byId.get(String(bookmark.message));
+            return {
+                messageId: bookmark.message,
+                savedAt: bookmark.createdAt,
+                message: message ? { ...serializeMessage(message, viewerId), isBookmarked: true } : null,
+            };
+        }),
+        totalPages: Math.ceil(total / PAGE_SIZE),
+    };
+}
@@ -0,0 +1,106 @@
+import Category, {type CategoryAttrs} from '../models/category.model.js';
+import Message from '../models/message.model.js';
+import {USER_ROLES, type UserRole} from '../models/user.model.js';
+import type {RequestBody} from '../utils/body.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export const CATEGORY_PUBLIC_FIELDS = 'name slug description order postingRoles';
+
+export const DEFAULT_CATEGORY = {
+    name: 'General',
+    slug: 'general',
+    description: 'Temas que no encajan en ninguna otra categoría.',
+};
+
+export type CategoryInput = {
+    name?: string;
+    slug?: string;
+    description?: string;
+    order?: number;
+    postingRoles?: UserRole[];
+};
+
+export function slugify(raw: string) {
+    return raw
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, 60)
+        .replace(/^-+|-+$/g, '');
+}
+
+export function parseCategoryInput(body: RequestBody, isUpdate = false) {
+    const errors: Record<string, string> = {};
+    const value: CategoryInput = {};
+
+    if (typeof body?.name === 'string' || !isUpdate) {
+        const name = typeof body?.name === 'string' ? body.name.trim() : '';
+        if (name.length >= 2 && name.length <= 50) value.name = name;
+        else errors.name = 'El nombre debe tener entre 2 y 50 caracteres.';
+    }
+    if (typeof body?.slug === 'string' && body.slug.trim() !== '') {
+        const slug = body.slug.trim().toLowerCase();
+        if (SLUG_PATTERN.test(slug) && slug.length <= 60) value.slug = slug;
+        else errors.slug = 'El identificador solo puede contener letras minúsculas, números y guiones.';
+    } else if (!isUpdate && value.name) {
+        value.slug = slugify(value.name);
+        if (!value.slug) errors.slug = 'No se ha podido generar un identificador a partir del nombre.';
+    }
+    if (typeof body?.description === 'string') {
+        const description = body.description.trim();
+        if (description.length <= 300) value.description = description;
+        else errors.description = 'La descripción no puede superar los 300 caracteres.';
+    }
+    if (body?.order !== undefined && body.order !== '') {
+        const order = Number(body.order);
+        if (Number.isInteger(order)) value.order = order;
+        else errors.order = 'El orden debe ser un número entero.';
+    }
+    if (body?.postingRoles !== undefined) {
+        const roles = Array.isArray(body.postingRoles) ? body.postingRoles : [body.postingRoles];
+        if (roles.every((role) => USER_ROLES.includes(role as UserRole))) {
+            value.postingRoles = [...new Set(roles as UserRole[])];
+        } else {
+            errors.postingRoles = 'Rol no válido.';
+        }
+    }
+
+    return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+}
+
+export function canPostIn(category: Pick<CategoryAttrs, 'postingRoles'>, user: { role: UserRole } | null | undefined) {
+    if (!user) return false;
+    return category.postingRoles.length === 0 || category.postingRoles.includes(user.role);
+}
+
+export function findCategoryBySlug(slug: unknown) {
+    return Category.findOne({ slug: typeof slug === 'string' ? slug.trim().toLowerCase() : '' });
+}
+
+export function listCategories() {
+    return Category.find({}, CATEGORY_PUBLIC_FIELDS).sort({ order: 1, name: 1 }).lean();
+}
+
+/**
+ * Posting requires a category, so a database without any gets the default one, and messages
+ * written before categories existed are moved into it. Safe to run on every start.
+ * Returns the number of messages that were backfilled.
+ */
+export async function ensureDefaultCategory(): Promise<number> {
+    const [hasCategories, hasUncategorized] = await Promise.all([
+        Category.exists({}),
+        Message.exists({ category: null }),
+    ]);
+    if (hasCategories && !hasUncategorized) return 0;
+
+    // Name and slug are both unique, so an admin-made "General" with another slug is reused rather than duplicated.
+    const existing = await Category.findOne(
+        { $or: [{ slug: DEFAULT_CATEGORY.slug }, { name: DEFAULT_CATEGORY.name }] },
+        { _id: 1 },
+    ).lean();
+    const generalId = existing?._id ?? (await Category.create(DEFAULT_CATEGORY))._id;
+    const { modifiedCount } = await Message.updateMany({ category: null }, { $set: { category: generalId } });
+    return modifiedCount;
+}
@@ -0,0 +1,60 @@
+import type {Types} from 'mongoose';
+import Follow from '../models/follow.model.js';
+import {parseHashtags} from '../utils/hashtags.js';
+import {SENDER_FIELDS, type PopulatedSender} from './messages.service.js';
+
+export type FollowTarget = { followedUser: Types.ObjectId } | { hashtag: string };
+
+export function parseHashtagParam(raw: unknown) {
+    if (typeof raw !== 'string' || /[\s,]/.test(raw)) return null;
+    return parseHashtags(raw)[0] ?? null;
+}
+
+export async function addFollow(follower: Types.ObjectId, target: FollowTarget) {
+    await Follow.updateOne(
+        { follower, ...target },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true },
+    );
+}
+
+export async function removeFollow(follower: Types.ObjectId, target: FollowTarget) {
+    await Follow.deleteOne({ follower, ...target });
+}
+
+export async function isFollowing(follower: Types.ObjectId | null | undefined, target: FollowTarget) {
+    if (!follower) return false;
+    return !!(await Follow.exists({ follower, ...target }));
+}
+
+export function countFollowers(userId: Types.ObjectId) {
+    return Follow.countDocuments({ followedUser: userId });
+}
+
+export async function getFollowCounts(userId: Types.ObjectId) {
+    const [followerCount, followingCount, hashtagCount] = await Promise.all([
+        countFollowers(userId),
+        Follow.countDocuments({ follower: userId, followedUser: { $ne: null } }),
+        Follow.countDocuments({ follower: userId, hashtag: { $ne: null } }),
+    ]);
+    return { followerCount, followingCount, hashtagCount };
+}
+
+export async function findFollowedTargets(follower: Types.ObjectId | string) {
+    const follows = await Follow.find({ follower }, { followedUser: 1, hashtag: 1 }).lean();
+    return {
+        users: follows.flatMap((follow) => follow.followedUser ? [follow.followedUser] : []),
+        hashtags: follows.flatMap((follow) => follow.hashtag ? [follow.hashtag] : []),
+    };
+}
+
+export async function listFollowing(follower: Types.ObjectId) {
+    const follows = await Follow.find({ follower })
+        .populate<{ followedUser: PopulatedSender }>('followedUser', SENDER_FIELDS)
+        .sort({ createdAt: -1 })
+        .lean();
+    return {
+        users: follows.flatMap((follow) => follow.followedUser ? [follow.followedUser] : []),
+        hashtags: follows.flatMap((follow) => follow.hashtag ? [follow.hashtag] : []),
+    };
+}
@@ -0,0 +1,64 @@
+import LoginAttempt from '../models/loginAttempt.model.js';
+
+export type LockoutPolicy = {
+    /** Failures allowed before the first lock. */
+    freeAttempts: number;
+    baseLockMs: number;
+    maxLockMs: number;
+    /** How long an idle counter is kept before it resets by itself. */
+    windowMs: number;
+};
+
+export type LockoutKey = { key: string; policy: LockoutPolicy };
+
+export const ACCOUNT_RESET_POLICY: LockoutPolicy = {
+    freeAttempts: 5,
+    baseLockMs: 60_000,
+    maxLockMs: 24 * 60 * 60_000,
+    windowMs: 24 * 60 * 60_000,
+};
+
+export const IP_RESET_POLICY: LockoutPolicy = {
+    freeAttempts: 20,
+    baseLockMs: 60_000,
+    maxLockMs: 24 * 60 * 60_000,
+    windowMs: 24 * 60 * 60_000,
+};
+
+export function lockDuration(failures: number, policy: LockoutPolicy) {
+    const excess = failures - policy.freeAttempts;
+    if (excess < 0) return 0;
+    return Math.min(policy.baseLockMs * 2 ** excess, policy.maxLockMs);
+}
+
+/** Returns the milliseconds left on the longest active lock among `keys`, or 0. */
+export async function remainingLockMs(keys: LockoutKey[], now = new Date()) {
+    const locked = await LoginAttempt.find(
+        { key: { $in: keys.map(({ key }) => key) }, lockedUntil: { $gt: now } },
+        { lockedUntil: 1 },
+    ).lean();
+    return locked.reduce((max, { lockedUntil }) => Math.max(max, lockedUntil!.getTime() - now.getTime()), 0);
+}
+
+export async function registerFailure(keys: LockoutKey[], now = new Date()) {
+    await Promise.all(keys.map(async ({ key, policy }) => {
+        const attempt = await LoginAttempt.findOneAndUpdate(
+            { key },
+            { $inc: { failures: 1 }, $set: { expiresAt: new Date(now.getTime() + policy.windowMs) } },
+            { upsert: true, new: true },
+        );
+
+        const lockMs = lockDuration(attempt.failures, policy);
+        if (lockMs > 0) {
+            const lockedUntil = new Date(now.getTime() + lockMs);
+            await LoginAttempt.updateOne(
+                { _id: attempt._id },
+                { $set: { lockedUntil, expiresAt: new Date(lockedUntil.getTime() + policy.windowMs) } },
+            );
+        }
+    }));
+}
+
+export async function clearFailures(key: string) {
+    await LoginAttempt.deleteOne({ key });
+}
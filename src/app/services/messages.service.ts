@@ -0,0 +1,156 @@
+import type {FilterQuery, SortOrder, Types} from 'mongoose';
+import Message, {type MessageAttrs} from '../models/message.model.js';
+import User from '../models/user.model.js';
+import {extractMentions} from '../shared/markup.js';
+import {diffWords} from '../utils/diff.js';
+import {parseHashtags} from '../utils/hashtags.js';
+
+export const PAGE_SIZE = 10;
+export const DEFAULT_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_MENTIONS = 10;
+export const SENDER_FIELDS = 'username profilePicturePath';
+export const REFERENCE_FIELDS = 'title messageStatus';
+export const CATEGORY_FIELDS = 'name slug';
+
+export const MESSAGE_POPULATE = [
+    { path: 'sender', select: SENDER_FIELDS },
+    { path: 'referencedMessage', select: REFERENCE_FIELDS },
+    { path: 'category', select: CATEGORY_FIELDS },
+];
+
+export type PopulatedSender = { _id: Types.ObjectId; username: string; profilePicturePath?: string | null } | null;
+export type PopulatedReference = { _id: Types.ObjectId; title: string; messageStatus: string } | null;
+export type PopulatedCategory = { _id: Types.ObjectId; name: string; slug: string } | null;
+
+export type MessageInput = { title: string; content: string; hashtags: string[] };
+export type MessageOptions = { editWindowMs?: number };
+
+export function parsePage(raw: unknown) {
+    const page = Number.parseInt(String(raw ?? '1'), 10);
+    return Number.isFinite(page) && page > 0 ? page : 1;
+}
+
+export function validateMessageInput(body: Record<string, unknown> | undefined) {
+    const title = typeof body?.title === 'string' ? body.title.trim() : '';
+    const content = typeof body?.content === 'string' ? body.content.trim() : '';
+    const errors: Record<string, string> = {};
+
+    if (title.length < 3 || title.length > 100) {
+        errors.title = 'El título debe tener entre 3 y 100 caracteres.';
+    }
+    if (content.length < 10 || content.length > 1500) {
+        errors.content = 'El contenido debe tener entre 10 y 1500 caracteres.';
+    }
+
+    const value: MessageInput = { title, content, hashtags: parseHashtags(body?.hashtags) };
+    return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+}
+
+export async function resolveMentions(input: Pick<MessageInput, 'title' | 'content'>) {
+    const usernames = [...new Set([...extractMentions(input.title), ...extractMentions(input.content)])]
+        .slice(0, MAX_MENTIONS);
+    if (usernames.length === 0) return [];
+
+    // Usernames are unique only with exact case, like the profile links the mentions render to.
+    const users = await User.find(
+        { username: { $in: usernames }, userStatus: 'active' },
+        { _id: 1 },
+    ).lean();
+    return users.map((user) => user._id);
+}
+
+function idOf(ref: unknown) {
+    return String((ref as { _id?: unknown } | null)?._id ?? ref);
+}
+
+type SerializableMessage = {
+    content: string;
+    likes: Types.ObjectId[];
+    revisions?: unknown[];
+    reportedBy?: unknown[];
+    reportResolution?: unknown;
+    reviewedBy?: unknown;
+    reviewedAt?: unknown;
+};
+
+export function serializeMessage<T extends SerializableMessage>(message: T, viewerId?: string | null) {
+    const { likes, reportedBy, revisions: _revisions, reportResolution: _resolution, reviewedBy: _reviewer, reviewedAt: _reviewedAt, ...rest } = message;
+    return {
+        ...rest,
+        likeCount: likes.length,
+        isLiked: !!viewerId && likes.some((id) => String(id) === viewerId),
+        isReported: !!viewerId && (reportedBy ?? []).some((ref) => idOf(ref) === viewerId),
+    };
+}
+
+export function findPopulatedMessages(filter: FilterQuery<MessageAttrs>) {
+    return Message.find(filter)
+        .populate<{ sender: PopulatedSender }>('sender', SENDER_FIELDS)
+        .populate<{ referencedMessage: PopulatedReference }>('referencedMessage', REFERENCE_FIELDS)
+        .populate<{ category: PopulatedCategory }>('category', CATEGORY_FIELDS);
+}
+
+export function findPopulatedMessage(filter: FilterQuery<MessageAttrs>) {
+    return Message.findOne(filter)
+        .populate<{ sender: PopulatedSender }>('sender', SENDER_FIELDS)
+        .populate<{ referencedMessage: PopulatedReference }>('referencedMessage', REFERENCE_FIELDS)
+        .populate<{ category: PopulatedCategory }>('category', CATEGORY_FIELDS);
+}
+
+export async function findMessagePage(
+    filter: FilterQuery<MessageAttrs>,
+    page: number,
+    sort: Record<string, SortOrder> = { createdAt: -1 },
+) {
+    const [docs, total] = await Promise.all([
+        findPopulatedMessages(filter)
+            .sort(sort)
+            .skip((page - 1) * PAGE_SIZE)
+            .limit(PAGE_SIZE)
+            .lean(),
+        Message.countDocuments(filter),
+    ]);
+
+    return { docs, totalPages: Math.ceil(total / PAGE_SIZE) };
+}
+
+export async function adjustReplyCount(parentId: Types.ObjectId, delta: 1 | -1) {
+    const parent = await Message.findOneAndUpdate(
+        delta < 0 ? { _id: parentId, replyCount: { $gt: 0 } } : { _id: parentId },
+        { $inc: { replyCount: delta } },
+        { new: true, projection: { replyCount: 1 } },
+    ).lean();
+    return parent?.replyCount ?? null;
+}
+
+type MessageSnapshot = { title: string; content: string; hashtags: string[] };
+type RevisedMessage = MessageSnapshot & {
+    sender?: unknown;
+    createdAt: Date;
+    revisions: (MessageSnapshot & { editedBy?: unknown; editedAt?: Date | null })[];
+};
+
+export function buildRevisionHistory(message: RevisedMessage) {
+    const snapshots: MessageSnapshot[] = [...message.revisions, message];
+
+    return snapshots.map((snapshot, index) => {
+        const previous = index > 0 ? snapshots[index - 1] : null;
+        const edit = index > 0 ? message.revisions[index - 1] : null;
+        return {
+            version: index + 1,
+            title: snapshot.title,
+            content: snapshot.content,
+            hashtags: snapshot.hashtags,
+            author: edit ? edit.editedBy ?? null : message.sender ?? null,
+            createdAt: edit ? edit.editedAt : message.createdAt,
+            diff: previous && {
+                title: diffWords(previous.title, snapshot.title),
+                content: diffWords(previous.content, snapshot.content),
+                hashtags: {
+                    added: snapshot.hashtags.filter((tag) => !previous.hashtags.includes(tag)),
+                    removed: previous.hashtags.filter((tag) => !snapshot.hashtags.includes(tag)),
+                },
+            },
+        };
+    });
+}
@@ -0,0 +1,66 @@
+import type {Types} from 'mongoose';
+import Message from '../models/message.model.js';
+import User, {type UserDocument, type UserRole} from '../models/user.model.js';
+import {recordAudit, type AuditChange, type AuditParty} from './audit.service.js';
+import {adjustReplyCount} from './messages.service.js';
+
+export const DEFAULT_STRIKE_THRESHOLD = 3;
+
+export type ModerationOptions = { strikeThreshold?: number };
+
+export async function addStrike(userId: Types.ObjectId | string, threshold: number, actor: AuditParty | null) {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { strikes: 1 } }, { new: true });
+    if (!user) return null;
+
+    const changes: AuditChange[] = [{ field: 'strikes', from: user.strikes - 1, to: user.strikes }];
+    if (user.strikes >= threshold && user.userStatus !== 'banned') {
+        changes.push({ field: 'userStatus', from: user.userStatus, to: 'banned' });
+        user.userStatus = 'banned';
+        await user.save();
+    }
+
+    await recordAudit({ action: 'report-upheld', actor, target: user, changes });
+    return user;
+}
+
+/** Mirrors `checkAdminUpdatePermission`: moderators may only sanction normal users, and nobody reviews reports on their own messages. */
+export function checkReviewPermission(reviewer: UserDocument, author: { _id: Types.ObjectId; role: UserRole } | null, uphold: boolean) {
+    if (author && reviewer._id.equals(author._id)) {
+        return 'No puedes revisar reportes de tus propios mensajes.';
+    }
+    if (uphold && reviewer.role === 'moderator' && author && author.role !== 'user') {
+        return 'Los moderadores solo pueden sancionar a usuarios normales.';
+    }
+    return null;
+}
+
+export async function reviewReport(
+    messageId: string,
+    reviewer: AuditParty,
+    uphold: boolean,
+    strikeThreshold: number,
+) {
+    // Claiming the report in a single update makes sure only one reviewer gets to apply its consequences.
+    const claimed = await Message.findOneAndUpdate({ _id: messageId, reportStatus: 'pendiente' }, {
+        $set: {
+            reportStatus: 'revisado',
+            reportResolution: uphold ? 'upheld' : 'dismissed',
+            reviewedBy: reviewer._id,
+            reviewedAt: new Date(),
+        },
+    }, { new: true });
+    if (!claimed) return null;
+
+    const hiddenMessage = uphold
+        ? await Message.findOneAndUpdate({ _id: claimed._id, messageStatus: 'active' }, { $set: { messageStatus: 'hidden' } }, { new: true })
+        : null;
+    const message = hiddenMessage ?? claimed;
+    const hidden = hiddenMessage !== null;
+
+    const parentReplyCount = hidden && message.referencedMessage
+        ? await adjustReplyCount(message.referencedMessage, -1)
+        : null;
+
+    const author = uphold && message.sender ? await addStrike(message.sender, strikeThreshold, reviewer) : null;
+    return { message, author, hidden, parentReplyCount };
+}
@@ -0,0 +1,102 @@
+import type {Types} from 'mongoose';
+import Notification, {type NotificationType} from '../models/notification.model.js';
+import {PAGE_SIZE, REFERENCE_FIELDS, SENDER_FIELDS, type PopulatedReference, type PopulatedSender} from './messages.service.js';
+import {excludeSilencing, hasSilenced} from './restrictions.service.js';
+import type {AuditChange} from './audit.service.js';
+import {logger} from '../utils/logger.js';
+
+type Id = Types.ObjectId | string;
+
+export type NotificationInput = {
+    recipient: Id;
+    actor?: Id | null;
+    type: NotificationType;
+    message?: Id | null;
+    data?: Record<string, unknown> | null;
+};
+
+function isSelf(recipient: Id, actor: Id | null | undefined) {
+    return !!actor && String(recipient) === String(actor);
+}
+
+/** Notifications are a side effect: a failure here must never break the action that caused it. */
+async function safely(task: () => Promise<unknown>) {
+    try {
+        await task();
+    } catch (err) {
+        logger.error('Failed to create notification', { err });
+    }
+}
+
+export function notify(input: NotificationInput) {
+    if (isSelf(input.recipient, input.actor)) return Promise.resolve();
+    return safely(() => Notification.create(input));
+}
+
+// Likes, replies and mentions from users the recipient has muted or blocked are not notified.
+export function notifyLike(recipient: Id | null, actor: Id, message: Id) {
+    if (!recipient || isSelf(recipient, actor)) return Promise.resolve();
+    return safely(async () => {
+        if (await hasSilenced(recipient, actor)) return;
+        // Re-liking after an unlike refreshes the existing notification instead of stacking a new one.
+        await Notification.updateOne(
+            { recipient, actor, type: 'like', message },
+            { $set: { read: false, createdAt: new Date() } },
+            { upsert: true },
+        );
+    });
+}
+
+export function notifyReply(recipient: Id | null, actor: Id, reply: Id) {
+    if (!recipient || isSelf(recipient, actor)) return Promise.resolve();
+    return safely(async () => {
+        if (await hasSilenced(recipient, actor)) return;
+        await Notification.create({ recipient, actor, type: 'reply', message: reply });
+    });
+}
+
+export function notifyMentions(recipients: Id[], actor: Id, message: Id, alreadyNotified: (Id | null)[] = []) {
+    const skipped = new Set([actor, ...alreadyNotified].filter(Boolean).map(String));
+    const targets = recipients.filter((recipient) => !skipped.has(String(recipient)));
+    if (targets.length === 0) return Promise.resolve();
+    return safely(async () => {
+        const notified = await excludeSilencing(targets, actor);
+        if (notified.length === 0) return;
+        await Notification.insertMany(notified.map((recipient) => ({ recipient, actor, type: 'mention', message })));
+    });
+}
+
+export function notifyReportReviewed(reporters: Id[], reviewer: Id, message: Id, resolution: string) {
+    return safely(() => Notification.insertMany(reporters
+        .filter((reporter) => !isSelf(reporter, reviewer))
+        .map((recipient) => ({ recipient, actor: reviewer, type: 'report-reviewed', message, data: { resolution } }))));
+}
+
+export function notifyMessageModerated(recipient: Id, message: Id, strikes: number) {
+    return notify({ recipient, type: 'message-moderated', message, data: { strikes } });
+}
+
+export function notifyAccountUpdated(recipient: Id, actor: Id, changes: AuditChange[]) {
+    return notify({ recipient, actor, type: 'account-updated', data: { changes } });
+}
+
+export function countUnread(recipient: Id) {
+    return Notification.countDocuments({ recipient, read: false });
+}
+
+export async function findNotificationPage(recipient: Id, page: number, unreadOnly: boolean) {
+    const filter = unreadOnly ? { recipient, read: false } : { recipient };
+    const [docs, total, unreadCount] = await Promise.all([
+        Notification.find(filter)
+            .populate<{ actor: PopulatedSender }>('actor', SENDER_FIELDS)
+            .populate<{ message: PopulatedReference }>('message', REFERENCE_FIELDS)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * PAGE_SIZE)
+            .limit(PAGE_SIZE)
+            .lean(),
+        Notification.countDocuments(filter),
+        countUnread(recipient),
+    ]);
+
+    return { docs, totalPages: Math.ceil(total / PAGE_SIZE), unreadCount };
+}
@@ -0,0 +1,70 @@
+import type {Types} from 'mongoose';
+import Follow from '../models/follow.model.js';
+import Restriction, {RESTRICTION_KINDS, type RestrictionKind} from '../models/restriction.model.js';
+import {SENDER_FIELDS, type PopulatedSender} from './messages.service.js';
+
+type Id = Types.ObjectId | string;
+
+export function parseRestrictionKind(raw: unknown) {
+    return RESTRICTION_KINDS.includes(raw as RestrictionKind) ? raw as RestrictionKind : null;
+}
+
+/** Senders whose messages the viewer has chosen not to see, whether muted or blocked. */
+export async function findHiddenSenderIds(viewerId: Id | null | undefined) {
+    if (!viewerId) return [];
+    const restrictions = await Restriction.find({ owner: viewerId }, { target: 1 }).lean();
+    return restrictions.map((restriction) => restriction.target);
+}
+
+export async function isBlockedBy(owner: Id | null | undefined, target: Id) {
+    if (!owner) return false;
+    return !!(await Restriction.exists({ owner, target, kind: 'block' }));
+}
+
+/** Whether `owner` has muted or blocked `target`, so notifications caused by `target` are dropped. */
+export async function hasSilenced(owner: Id, target: Id) {
+    return !!(await Restriction.exists({ owner, target }));
+}
+
+async function withoutRestrictingOwners<T extends Id>(owners: T[], target: Id, kinds: readonly RestrictionKind[]) {
+    if (owners.length === 0) return owners;
+    const restrictions = await Restriction.find(
+        { owner: { $in: owners }, target, kind: { $in: kinds } },
+        { owner: 1 },
+    ).lean();
+    const restricting = new Set(restrictions.map((restriction) => String(restriction.owner)));
+    return owners.filter((owner) => !restricting.has(String(owner)));
+}
+
+export function excludeBlockers<T extends Id>(userIds: T[], actor: Id) {
+    return withoutRestrictingOwners(userIds, actor, ['block']);
+}
+
+export function excludeSilencing<T extends Id>(userIds: T[], actor: Id) {
+    return withoutRestrictingOwners(userIds, actor, RESTRICTION_KINDS);
+}
+
+export async function setRestriction(owner: Types.ObjectId, target: Types.ObjectId, kind: RestrictionKind) {
+    await Restriction.updateOne(
+        { owner, target },
+        { $set: { kind }, $setOnInsert: { createdAt: new Date() } },
+        { upsert: true },
+    );
+    // A blocked user should not keep receiving the blocker's messages in their following feed.
+    if (kind === 'block') await Follow.deleteOne({ follower: target, followedUser: owner });
+}
+
+export async function removeRestriction(owner: Types.ObjectId, target: Types.ObjectId) {
+    await Restriction.deleteOne({ owner, target });
+}
+
+export async function listRestrictions(owner: Types.ObjectId) {
+    const restrictions = await Restriction.find({ owner })
+        .populate<{ target: PopulatedSender }>('target', SENDER_FIELDS)
+        .sort({ createdAt: -1 })
+        .lean();
+
+    const byKind = (kind: RestrictionKind) => restrictions.flatMap((restriction) =>
+        restriction.kind === kind && restriction.target ? [restriction.target] : []);
+    return { muted: byKind('mute'), blocked: byKind('block') };
+}
@@ -0,0 +1,210 @@
+import type {FilterQuery, PipelineStage, Types} from 'mongoose';
+import Message, {type MessageAttrs} from '../models/message.model.js';
+import User from '../models/user.model.js';
+import {escapeRegex} from '../utils/regex.js';
+import {withBookmarkFlags} from './bookmarks.service.js';
+import {findCategoryBySlug} from './categories.service.js';
+import {findFollowedTargets} from './follows.service.js';
+import {findHiddenSenderIds} from './restrictions.service.js';
+import {PAGE_SIZE, MESSAGE_POPULATE, serializeMessage} from './messages.service.js';
+
+export const SEARCH_SORTS = ['relevance', 'date_desc', 'date_asc', 'likes_desc', 'likes_asc'] as const;
+export const DATE_RANGES = ['day', 'week', 'month', 'all'] as const;
+export const FEED_MODES = ['all', 'following'] as const;
+
+export type SearchSort = typeof SEARCH_SORTS[number];
+export type DateRange = typeof DATE_RANGES[number];
+export type FeedMode = typeof FEED_MODES[number];
+export type SearchType = 'trends' | 'user' | 'hashtag' | 'text';
+
+export type ParsedQuery = { users: string[]; hashtags: string[]; text: string[] };
+
+export type SearchParams = {
+    q: string;
+    sort: SearchSort;
+    dateRange: DateRange;
+    page: number;
+    feed?: FeedMode;
+    category?: string;
+    viewerId?: string | null;
+};
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+const MAX_USER_RESULTS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGE_MS: Record<Exclude<DateRange, 'all'>, number> = {
+    day: DAY_MS,
+    week: 7 * DAY_MS,
+    month: 30 * DAY_MS,
+};
+
+// Engagement decays with age (hours + 2) ^ GRAVITY, so fresh activity outranks old totals.
+const LIKE_WEIGHT = 1;
+const REPLY_WEIGHT = 2;
+const GRAVITY = 1.5;
+
+const SORT_STAGES: Record<SearchSort, Record<string, 1 | -1>> = {
+    relevance: { score: -1, createdAt: -1 },
+    date_desc: { createdAt: -1 },
+    date_asc: { createdAt: 1 },
+    likes_desc: { likeCount: -1, createdAt: -1 },
+    likes_asc: { likeCount: 1, createdAt: -1 },
+};
+
+export function parseSearchQuery(raw: string): ParsedQuery {
+    const parsed: ParsedQuery = { users: [], hashtags: [], text: [] };
+
+    raw.slice(0, MAX_QUERY_LENGTH)
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, MAX_TERMS)
+        .forEach((term) => {
+            if (term.startsWith('@') && term.length > 1) {
+                parsed.users.push(term.slice(1));
+            } else if (term.startsWith('#') && term.length > 1) {
+                parsed.hashtags.push(term.slice(1).toLowerCase());
+            } else if (!term.startsWith('@') && !term.startsWith('#')) {
+                parsed.text.push(term);
+            }
+        });
+
+    return parsed;
+}
+
+export function resolveSearchType(parsed: ParsedQuery): SearchType {
+    if (parsed.users.length > 0) return 'user';
+    if (parsed.text.length > 0) return 'text';
+    if (parsed.hashtags.length > 0) return 'hashtag';
+    return 'trends';
+}
+
+export function parseSort(raw: unknown): SearchSort {
+    return SEARCH_SORTS.includes(raw as SearchSort) ? raw as SearchSort : 'relevance';
+}
+
+export function parseDateRange(raw: unknown): DateRange {
+    return DATE_RANGES.includes(raw as DateRange) ? raw as DateRange : 'all';
+}
+
+export function parseFeedMode(raw: unknown): FeedMode {
+    return FEED_MODES.includes(raw as FeedMode) ? raw as FeedMode : 'all';
+}
+
+function relevanceStage(useTextScore: boolean, now: Date): PipelineStage.AddFields {
+    const engagement = {
+        $add: [1, { $multiply: ['$likeCount', LIKE_WEIGHT] }, { $multiply: ['$replyCount', REPLY_WEIGHT] }],
+    };
+    const ageHours = { $divide: [{ $subtract: [now, '$createdAt'] }, 60 * 60 * 1000] };
+    const decayed = { $divide: [engagement, { $pow: [{ $add: [ageHours, 2] }, GRAVITY] }] };
+
+    return {
+        $addFields: {
+            score: useTextScore ? { $multiply: [decayed, { $meta: 'textScore' }] } : decayed,
+        },
+    };
+}
+
+async function findMatchingUsers(usernames: string[]) {
+    if (usernames.length === 0) return { users: [], exactIds: [] as Types.ObjectId[] };
+
+    const prefixes = usernames.map((name) => new RegExp(`^${escapeRegex(name)}`, 'i'));
+    const users = await User.find(
+        { username: { $in: prefixes }, userStatus: 'active' },
+        { username: 1, profilePicturePath: 1 },
+    )
+        .sort({ username: 1 })
+        .limit(MAX_USER_RESULTS)
+        .lean();
+
+    const exact = await User.find(
+        { username: { $in: usernames.map((name) => new RegExp(`^${escapeRegex(name)}$`, 'i')) } },
+        { _id: 1 },
+    ).lean();
+
+    return { users, exactIds: exact.map((user) => user._id) };
+}
+
+export async function searchMessages(params: SearchParams) {
+    const parsed = parseSearchQuery(params.q);
+    const searchType = resolveSearchType(parsed);
+    const now = new Date();
+
+    const filter: FilterQuery<MessageAttrs> = { messageStatus: 'active' };
+
+    if (params.dateRange !== 'all') {
+        filter.createdAt = { $gte: new Date(now.getTime() - RANGE_MS[params.dateRange]) };
+    }
+    if (parsed.hashtags.length > 0) {
+        filter.hashtags = { $all: parsed.hashtags };
+    }
+    if (parsed.text.length > 0) {
+        filter.$text = { $search: parsed.text.join(' ') };
+    }
+
+    if (params.category) {
+        const category = await findCategoryBySlug(params.category).select('_id').lean();
+        if (!category) return { searchType, users: [], messages: [], totalPages: 0 };
+        filter.category = category._id;
+    }
+
+    if (params.feed === 'following' && params.viewerId) {
+        const followed = await findFollowedTargets(params.viewerId);
+        if (followed.users.length === 0 && followed.hashtags.length === 0) {
+            return { searchType, users: [], messages: [], totalPages: 0 };
+        }
+        filter.$or = [{ sender: { $in: followed.users } }, { hashtags: { $in: followed.hashtags } }];
+    }
+
+    const { users, exactIds } = await findMatchingUsers(parsed.users);
+    if (searchType === 'user') {
+        if (exactIds.length === 0) {
+            return { searchType, users: params.page === 1 ? users : [], messages: [], totalPages: 0 };
+        }
+        filter.sender = { $in: exactIds };
+    }
+
+    const hiddenSenders = await findHiddenSenderIds(params.viewerId);
+    if (hiddenSenders.length > 0) {
+        filter.$and = [{ sender: { $nin: hiddenSenders } }];
+    }
+
+    const useTextScore = parsed.text.length > 0;
+    const pipeline: PipelineStage[] = [
+        { $match: filter },
+        { $addFields: { likeCount: { $size: '$likes' } } },
+    ];
+    if (params.sort === 'relevance') {
+        pipeline.push(relevanceStage(useTextScore, now));
+    }
+    pipeline.push(
+        { $sort: SORT_STAGES[params.sort] },
+        {
+            $facet: {
+                docs: [
+                    { $skip: (params.page - 1) * PAGE_SIZE },
+                    { $limit: PAGE_SIZE },
+                    { $project: { score: 0, likeCount: 0 } },
+                ],
+                total: [{ $count: 'count' }],
+            },
+        },
+    );
+
+    const [result] = await Message.aggregate<{
+        docs: (MessageAttrs & { _id: Types.ObjectId })[];
+        total: { count: number }[];
+    }>(pipeline);
+
+    const docs = await Message.populate(result?.docs ?? [], MESSAGE_POPULATE);
+    const total = result?.total[0]?.count ?? 0;
+    const messages = await withBookmarkFlags(docs.map((doc) => serializeMessage(doc, params.viewerId)), params.viewerId);
+
+    return {
+        searchType,
+        users: params.page === 1 ? users : [],
+        messages,
+        totalPages: Math.ceil(total / PAGE_SIZE),
+    };
+}
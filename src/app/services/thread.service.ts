@@ -0,0 +1,139 @@
+import mongoose, {type FilterQuery, type Types} from 'mongoose';
+import Message, {type MessageAttrs} from '../models/message.model.js';
+import {MESSAGE_POPULATE, serializeMessage} from './messages.service.js';
+import {findBookmarkedIds} from './bookmarks.service.js';
+import {findHiddenSenderIds} from './restrictions.service.js';
+
+export const DEFAULT_THREAD_DEPTH = 3;
+export const MAX_THREAD_DEPTH = 6;
+export const DEFAULT_THREAD_LIMIT = 10;
+export const DEFAULT_BRANCH_LIMIT = 3;
+export const MAX_THREAD_LIMIT = 50;
+
+export type ThreadCursor = { createdAt: Date; id: Types.ObjectId };
+
+export type ThreadOptions = {
+    depth: number;
+    limit: number;
+    branchLimit: number;
+    cursor: ThreadCursor | null;
+    viewerId: string | null;
+};
+
+type ReplyDoc = MessageAttrs & { _id: Types.ObjectId; createdAt: Date };
+
+export type ThreadNode = ReturnType<typeof serializeMessage<ReplyDoc>> & {
+    isBookmarked: boolean;
+    children: ThreadNode[];
+    nextCursor: string | null;
+};
+
+function clampInt(raw: unknown, fallback: number, min: number, max: number) {
+    const value = Number.parseInt(String(raw ?? ''), 10);
+    return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+}
+
+export function encodeCursor(doc: { createdAt: Date; _id: Types.ObjectId }) {
+    return Buffer.from(`${doc.createdAt.toISOString()}|${doc._id}`).toString('base64url');
+}
+
+export function decodeCursor(raw: unknown): ThreadCursor | null {
+    if (typeof raw !== 'string' || !raw) return null;
+    const [iso, id] = Buffer.from(raw, 'base64url').toString('utf8').split('|');
+    const createdAt = new Date(iso ?? '');
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt, id: new mongoose.Types.ObjectId(id) };
+}
+
+export function parseThreadOptions(query: Record<string, unknown>, viewerId: string | null): ThreadOptions {
+    return {
+        depth: clampInt(query.depth, DEFAULT_THREAD_DEPTH, 1, MAX_THREAD_DEPTH),
+        limit: clampInt(query.limit, DEFAULT_THREAD_LIMIT, 1, MAX_THREAD_LIMIT),
+        branchLimit: clampInt(query.branchLimit, DEFAULT_BRANCH_LIMIT, 1, MAX_THREAD_LIMIT),
+        cursor: decodeCursor(query.cursor),
+        viewerId,
+    };
+}
+
+function afterCursor(cursor: ThreadCursor | null): FilterQuery<MessageAttrs> {
+    if (!cursor) return {};
+    return {
+        $or: [
+            { createdAt: { $gt: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { $gt: cursor.id } },
+        ],
+    };
+}
+
+/** Fetches up to `limit + 1` active replies per parent in one query; the extra one signals another page. */
+async function findChildren(
+    parentIds: Types.ObjectId[],
+    limit: number,
+    cursor: ThreadCursor | null,
+    hiddenSenders: Types.ObjectId[],
+) {
+    const groups = await Message.aggregate<{ _id: Types.ObjectId; docs: ReplyDoc[] }>([
+        {
+            $match: {
+                referencedMessage: { $in: parentIds },
+                messageStatus: 'active',
+                sender: { $nin: hiddenSenders },
+                ...afterCursor(cursor),
+            },
+        },
+        // $topN keeps only one page per parent in memory instead of collecting every reply first (MongoDB 5.2+).
+        {
+            $group: {
+                _id: '$referencedMessage',
+                docs: { $topN: { n: limit + 1, sortBy: { createdAt: 1, _id: 1 }, output: '$$ROOT' } },
+            },
+        },
+    ]);
+
+    const byParent = new Map<string, { docs: ReplyDoc[]; nextCursor: string | null }>();
+    for (const group of groups) {
+        const hasMore = group.docs.length > limit;
+        const docs = group.docs.slice(0, limit);
+        byParent.set(String(group._id), { docs, nextCursor: hasMore ? encodeCursor(docs[docs.length - 1]!) : null });
+    }
+    return byParent;
+}
+
+/**
+ * Loads the replies below `rootId` as a tree, one query per level. Each node carries the cursor
+ * for its own next page of children; nodes at the depth limit keep their `replyCount` so the
+ * client can expand them with a further request rooted at that node.
+ */
+export async function loadThread(rootId: Types.ObjectId, options: ThreadOptions) {
+    // Replies from muted or blocked users are left out together with the branches below them.
+    const hiddenSenders = await findHiddenSenderIds(options.viewerId);
+    const top = (await findChildren([rootId], options.limit, options.cursor, hiddenSenders)).get(String(rootId))
+        ?? { docs: [], nextCursor: null };
+
+    const levels: ReplyDoc[][] = [top.docs];
+    const pages = new Map<string, { docs: ReplyDoc[]; nextCursor: string | null }>();
+
+    for (let level = 1; level < options.depth; level++) {
+        const parents = levels[level - 1]!.filter((doc) => doc.replyCount > 0);
+        if (parents.length === 0) break;
+
+        const children = await findChildren(parents.map((doc) => doc._id), options.branchLimit, null, hiddenSenders);
+        children.forEach((page, parentId) => pages.set(parentId, page));
+        levels.push([...children.values()].flatMap((page) => page.docs));
+    }
+
+    await Message.populate(levels.flat(), MESSAGE_POPULATE);
+    const bookmarked = await findBookmarkedIds(options.viewerId, levels.flat().map((doc) => doc._id));
+
+    const build = (doc: ReplyDoc): ThreadNode => {
+        const page = pages.get(String(doc._id));
+        return {
+            ...serializeMessage(doc, options.viewerId),
+            isBookmarked: bookmarked.has(String(doc._id)),
+            children: page ? page.docs.map(build) : [],
+            nextCursor: page?.nextCursor ?? null,
+        };
+    };
+
+    return { replies: top.docs.map(build), nextCursor: top.nextCursor };
+}
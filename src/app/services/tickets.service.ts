@@ -0,0 +1,31 @@
+import {isValidEmail} from './auth.service.js';
+import {stringField, type RequestBody} from '../utils/body.js';
+
+export type ContactInput = {
+    name: string;
+    email: string;
+    username: string;
+    subject: string;
+    message: string;
+};
+
+export const ASSIGNEE_FIELDS = 'username';
+
+export function validateContact(body: RequestBody) {
+    const errors: Record<string, string> = {};
+    const value: ContactInput = {
+        name: stringField(body, 'name'),
+        email: stringField(body, 'email').toLowerCase(),
+        username: stringField(body, 'username').replace(/^@/, ''),
+        subject: stringField(body, 'subject'),
+        message: stringField(body, 'message'),
+    };
+
+    if (!value.name || value.name.length > 100) errors.name = 'Introduce tu nombre (máximo 100 caracteres).';
+    if (!isValidEmail(value.email)) errors.email = 'Introduce un email válido.';
+    if (value.username.length > 20) errors.username = 'El nombre de usuario no es válido.';
+    if (!value.subject || value.subject.length > 150) errors.subject = 'El asunto es obligatorio (máximo 150 caracteres).';
+    if (!value.message || value.message.length > 1200) errors.message = 'El mensaje es obligatorio (máximo 1200 caracteres).';
+
+    return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+}
@@ -0,0 +1,149 @@
+import type {Types} from 'mongoose';
+import Message from '../models/message.model.js';
+import User, {USER_ROLES, type UserDocument, type UserRole} from '../models/user.model.js';
+import {isValidUsername} from './auth.service.js';
+import type {RequestBody} from '../utils/body.js';
+import {escapeRegex} from '../utils/regex.js';
+
+const ASSIGNABLE_STATUSES = ['active', 'banned'] as const;
+const USERNAME_PREFIX_PATTERN = /^[a-zA-Z0-9_.-]{1,20}$/;
+const MAX_SUGGESTIONS = 8;
+
+type UserStatus = typeof ASSIGNABLE_STATUSES[number];
+
+export type AdminUpdate = { role?: UserRole; userStatus?: UserStatus; strikes?: number };
+export type ProfileUpdate = { username?: string; description?: string };
+
+export function parseAdminUpdate(body: Record<string, unknown> | undefined) {
+    const errors: Record<string, string> = {};
+    const update: AdminUpdate = {};
+
+    if (body?.role !== undefined) {
+        if (USER_ROLES.includes(body.role as UserRole)) update.role = body.role as UserRole;
+        else errors.role = 'Rol no válido.';
+    }
+    if (body?.userStatus !== undefined) {
+        if (ASSIGNABLE_STATUSES.includes(body.userStatus as UserStatus)) update.userStatus = body.userStatus as UserStatus;
+        else errors.userStatus = 'Estado no válido.';
+    }
+    if (body?.strikes !== undefined && body.strikes !== '') {
+        const strikes = Number(body.strikes);
+        if (Number.isInteger(strikes) && strikes >= 0 && strikes <= 1000) update.strikes = strikes;
+        else errors.strikes = 'Los strikes deben ser un número entero no negativo.';
+    }
+
+    return { errors: Object.keys(errors).length > 0 ? errors : null, update };
+}
+
+export function parseProfileUpdate(body: RequestBody) {
+    const errors: Record<string, string> = {};
+    const update: ProfileUpdate = {};
+
+    if (typeof body?.username === 'string') {
+        const username = body.username.trim().replace(/^@/, '');
+        if (isValidUsername(username)) update.username = username;
+        else errors.username = 'El nombre de usuario debe tener entre 3 y 20 caracteres (letras, números, "_", "." o "-").';
+    }
+    if (typeof body?.description === 'string') {
+        const description = body.description.trim();
+        if (description.length <= 300) update.description = description;
+        else errors.description = 'La descripción no puede superar los 300 caracteres.';
+    }
+
+    return { errors: Object.keys(errors).length > 0 ? errors : null, update };
+}
+
+export function checkAdminUpdatePermission(actor: UserDocument, target: UserDocument, update: AdminUpdate) {
+    const isSelf = actor._id.equals(target._id);
+
+    if (actor.role === 'moderator') {
+        if ((update.role !== undefined && update.role !== target.role) ||
+            (update.userStatus !== undefined && update.userStatus !== target.userStatus)) {
+            return 'Los moderadores solo pueden modificar los strikes.';
+        }
+        if (target.role !== 'user') {
+            return 'Los moderadores solo pueden modificar los strikes de usuarios normales.';
+        }
+        if (isSelf) {
+            return 'No puedes modificar tus propios strikes.';
+        }
+        return null;
+    }
+
+    if (actor.role === 'admin') {
+        if (isSelf && update.role !== undefined && update.role !== 'admin') {
+            return 'No puedes retirarte a ti mismo el rol de administrador.';
+        }
+        if (isSelf && update.userStatus === 'banned') {
+            return 'No puedes banear tu propia cuenta.';
+        }
+        return null;
+    }
+
+    return 'No tienes permisos para realizar esta acción.';
+}
+
+const PUBLIC_PROFILE_FIELDS = [
+    '_id', 'username', 'firstName', 'lastName', 'description', 'profilePicturePath', 'profilePictureVariants',
+    'role', 'userStatus', 'createdAt',
+] as const;
+const STAFF_PROFILE_FIELDS = ['email', 'dateOfBirth', 'strikes'] as const;
+const TOP_HASHTAGS = 5;
+
+export function toPublicProfile(user: UserDocument, includePrivate: boolean) {
+    const fields: readonly string[] = includePrivate
+        ? [...PUBLIC_PROFILE_FIELDS, ...STAFF_PROFILE_FIELDS]
+        : PUBLIC_PROFILE_FIELDS;
+    const source = user.toObject({ flattenMaps: true }) as Record<string, unknown>;
+    return Object.fromEntries(fields.map((field) => [field, source[field]]));
+}
+
+export async function getUserStats(userId: Types.ObjectId) {
+    const [result] = await Message.aggregate<{
+        totals: { messageCount: number; replyCount: number; repliesReceived: number; likesReceived: number }[];
+        hashtags: { _id: string; count: number }[];
+    }>([
+        { $match: { sender: userId, messageStatus: 'active' } },
+        {
+            $facet: {
+                totals: [{
+                    $group: {
+                        _id: null,
+                        messageCount: { $sum: { $cond: [{ $eq: ['$referencedMessage', null] }, 1, 0] } },
+                        replyCount: { $sum: { $cond: [{ $eq: ['$referencedMessage', null] }, 0, 1] } },
+                        repliesReceived: { $sum: '$replyCount' },
+                        likesReceived: { $sum: { $size: '$likes' } },
+                    },
+                }],
+                hashtags: [
+                    { $unwind: '$hashtags' },
+                    { $group: { _id: '$hashtags', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: TOP_HASHTAGS },
+                ],
+            },
+        },
+    ]);
+
+    const totals = result?.totals[0];
+    return {
+        messageCount: totals?.messageCount ?? 0,
+        replyCount: totals?.replyCount ?? 0,
+        repliesReceived: totals?.repliesReceived ?? 0,
+        likesReceived: totals?.likesReceived ?? 0,
+        topHashtags: (result?.hashtags ?? []).map(({ _id, count }) => ({ tag: _id, count })),
+    };
+}
+
+export function findUsernameSuggestions(rawPrefix: unknown) {
+    const prefix = typeof rawPrefix === 'string' ? rawPrefix.trim().replace(/^@/, '') : '';
+    if (!USERNAME_PREFIX_PATTERN.test(prefix)) return Promise.resolve([]);
+
+    return User.find(
+        { username: new RegExp(`^${escapeRegex(prefix)}`, 'i'), userStatus: 'active' },
+        { _id: 0, username: 1, profilePicturePath: 1 },
+    )
+        .sort({ username: 1 })
+        .limit(MAX_SUGGESTIONS)
+        .lean();
+}
@@ -0,0 +1,246 @@
+// Markup-lite dialect. The SPA parses, sanitizes and renders it; the API only shares the mention syntax
+// through `extractMentions`. This module must stay dependency-free: the compiled file is served as-is
+// to the browser from /js/shared/markup.js, where app.js imports it.
+
+export type MarkupElement = { tag: string; attrs: Record<string, string>; children: MarkupNode[] };
+export type MarkupNode = string | MarkupElement;
+
+const ALLOWED_TAGS: Record<string, readonly string[]> = {
+    p: [],
+    br: [],
+    strong: [],
+    em: [],
+    code: [],
+    pre: [],
+    blockquote: [],
+    ul: [],
+    ol: [],
+    li: [],
+    a: ['href', 'class', 'rel', 'target'],
+};
+
+const MAX_QUOTE_DEPTH = 3;
+const MAX_INLINE_DEPTH = 4;
+const MAX_TREE_DEPTH = 16;
+
+const FENCE = /^\s*```/;
+const QUOTE = /^\s*>/;
+const LIST_ITEM = /^\s*([-*+]|\d{1,3}[.)])\s+(.*)$/;
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/y;
+const MENTION_PATTERN = /@([a-zA-Z0-9_.-]{3,20})/y;
+const TRAILING_URL_PUNCTUATION = /[.,;:!?\]]$/;
+const PROFILE_PATH = '/view-profile?username=';
+const EXTERNAL_LINK_ATTRS = { rel: 'nofollow noopener noreferrer', target: '_blank' };
+
+// A closing parenthesis belongs to the URL when it balances one inside it, as in `/wiki/Foo_(bar)`.
+function trimUrl(url: string) {
+    let end = url.length;
+    while (end > 0) {
+        const last = url[end - 1];
+        const body = url.slice(0, end);
+        const unbalanced = last === ')' && body.split(')').length > body.split('(').length;
+        if (!TRAILING_URL_PUNCTUATION.test(last) && !unbalanced) break;
+        end--;
+    }
+    return url.slice(0, end);
+}
+
+function el(tag: string, attrs: Record<string, string>, children: MarkupNode[]): MarkupElement {
+    return { tag, attrs, children };
+}
+
+function isWordChar(ch: string | undefined) {
+    return !!ch && /[\p{L}\p{N}_]/u.test(ch);
+}
+
+function findClosing(text: string, marker: string, from: number) {
+    let index = text.indexOf(marker, from);
+    // A single `*` must not be the first half of a `**` pair.
+    while (index !== -1 && marker === '*' && text[index + 1] === '*') {
+        index = text.indexOf(marker, index + 2);
+    }
+    return index;
+}
+
+function parseInline(text: string, depth = 0): MarkupNode[] {
+    const nodes: MarkupNode[] = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) nodes.push(buffer);
+        buffer = '';
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+        const prev = text[i - 1];
+
+        if (ch === '`') {
+            const end = text.indexOf('`', i + 1);
+            if (end > i + 1) {
+                flush();
+                nodes.push(el('code', {}, [text.slice(i + 1, end)]));
+                i = end + 1;
+                continue;
+            }
+        }
+
+        if ((ch === '*' || ch === '_') && depth < MAX_INLINE_DEPTH && !(ch === '_' && isWordChar(prev))) {
+            const marker = ch === '*' && text[i + 1] === '*' ? '**' : ch;
+            const start = i + marker.length;
+            const end = findClosing(text, marker, start);
+            const isValid = end > start && !/\s/.test(text[start]) && !/\s/.test(text[end - 1]) &&
+                !(ch === '_' && isWordChar(text[end + 1]));
+            if (isValid) {
+                flush();
+                nodes.push(el(marker === '**' ? 'strong' : 'em', {}, parseInline(text.slice(start, end), depth + 1)));
+                i = end + marker.length;
+                continue;
+            }
+        }
+
+        if (ch === 'h' && !isWordChar(prev)) {
+            URL_PATTERN.lastIndex = i;
+            const match = URL_PATTERN.exec(text);
+            if (match) {
+                const url = trimUrl(match[0]);
+                flush();
+                nodes.push(el('a', { href: url, ...EXTERNAL_LINK_ATTRS }, [url]));
+                i += url.length;
+                continue;
+            }
+        }
+
+        if (ch === '@' && !isWordChar(prev) && prev !== '@') {
+            MENTION_PATTERN.lastIndex = i;
+            const match = MENTION_PATTERN.exec(text);
+            const username = match?.[1].replace(/[.-]+$/, '');
+            if (username && username.length >= 3) {
+                flush();
+                nodes.push(el('a', {
+                    href: PROFILE_PATH + encodeURIComponent(username),
+                    class: 'mention-link',
+                }, [`@${username}`]));
+                i += username.length + 1;
+                continue;
+            }
+        }
+
+        buffer += ch;
+        i++;
+    }
+
+    flush();
+    return nodes;
+}
+
+function withBreaks(lines: string[]) {
+    return lines.flatMap((line, index) => index === 0
+        ? parseInline(line)
+        : [el('br', {}, []), ...parseInline(line)]);
+}
+
+function isBlockStart(line: string, depth: number) {
+    return FENCE.test(line) || LIST_ITEM.test(line) || (QUOTE.test(line) && depth < MAX_QUOTE_DEPTH);
+}
+
+function parseBlocks(source: string, depth: number): MarkupNode[] {
+    const lines = source.split('\n');
+    const blocks: MarkupNode[] = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+        } else if (FENCE.test(line)) {
+            const body: string[] = [];
+            i++;
+            while (i < lines.length && !FENCE.test(lines[i])) body.push(lines[i++]);
+            i++;
+            blocks.push(el('pre', {}, [el('code', {}, [body.join('\n')])]));
+        } else if (QUOTE.test(line) && depth < MAX_QUOTE_DEPTH) {
+            const body: string[] = [];
+            while (i < lines.length && QUOTE.test(lines[i])) body.push(lines[i++].replace(/^\s*> ?/, ''));
+            blocks.push(el('blockquote', {}, parseBlocks(body.join('\n'), depth + 1)));
+        } else if (LIST_ITEM.test(line)) {
+            const ordered = /\d/.test(LIST_ITEM.exec(line)![1]);
+            const items: MarkupNode[] = [];
+            for (let match = LIST_ITEM.exec(line); match && /\d/.test(match[1]) === ordered; match = LIST_ITEM.exec(lines[i] ?? '')) {
+                items.push(el('li', {}, parseInline(match[2])));
+                i++;
+            }
+            blocks.push(el(ordered ? 'ol' : 'ul', {}, items));
+        } else {
+            const body = [lines[i++]];
+            while (i < lines.length && lines[i].trim() !== '' && !isBlockStart(lines[i], depth)) body.push(lines[i++]);
+            blocks.push(el('p', {}, withBreaks(body)));
+        }
+    }
+
+    return blocks;
+}
+
+export function parseMarkup(source: string): MarkupNode[] {
+    return parseBlocks(String(source ?? '').replace(/\r\n?/g, '\n'), 0);
+}
+
+// Mentions are read from the parsed tree so that only text rendered as a mention link counts (not code spans).
+export function extractMentions(source: string): string[] {
+    const usernames = new Set<string>();
+    const visit = (nodes: MarkupNode[]) => nodes.forEach((node) => {
+        if (typeof node === 'string') return;
+        if (node.attrs.class === 'mention-link' && typeof node.children[0] === 'string') {
+            usernames.add(node.children[0].slice(1));
+        }
+        visit(node.children);
+    });
+    visit(parseMarkup(source));
+    return [...usernames];
+}
+
+function isSafeHref(href: string) {
+    if (href.startsWith(PROFILE_PATH)) return true;
+    try {
+        const { protocol } = new URL(href);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+export function sanitizeMarkup(nodes: MarkupNode[], depth = 0): MarkupNode[] {
+    if (depth > MAX_TREE_DEPTH) return [];
+
+    return nodes.flatMap((node): MarkupNode[] => {
+        if (typeof node === 'string') return [node];
+
+        const allowedAttrs = Object.hasOwn(ALLOWED_TAGS, node.tag) ? ALLOWED_TAGS[node.tag] : null;
+        const children = sanitizeMarkup(node.children, depth + 1);
+        if (!allowedAttrs || (node.tag === 'a' && !isSafeHref(node.attrs.href ?? ''))) return children;
+
+        const attrs = Object.fromEntries(Object.entries(node.attrs).filter(([name]) => allowedAttrs.includes(name)));
+        return [el(node.tag, attrs, node.tag === 'br' ? [] : children)];
+    });
+}
+
+function appendNodes(parent: Node, nodes: MarkupNode[], doc: Document) {
+    nodes.forEach((node) => {
+        if (typeof node === 'string') {
+            parent.appendChild(doc.createTextNode(node));
+            return;
+        }
+        const element = doc.createElement(node.tag);
+        Object.entries(node.attrs).forEach(([name, value]) => element.setAttribute(name, value));
+        appendNodes(element, node.children, doc);
+        parent.appendChild(element);
+    });
+}
+
+export function renderMarkupFragment(source: string, doc: Document = document) {
+    const fragment = doc.createDocumentFragment();
+    appendNodes(fragment, sanitizeMarkup(parseMarkup(source)), doc);
+    return fragment;
+}
@@ -1,41 +1,64 @@
+import {fileURLToPath} from "node:url";
+import MongoStore from "connect-mongo";
 import AgoraDigApp from "./AgoraDigApp.js";
 import {buildRouters} from "./routes/index.js";
+import {connectMongo, disconnectMongo, mongoReadinessCheck} from "./db/mongo.js";
+import {sessionStoreReadinessCheck} from "./services/auth.service.js";
+import {ensureDefaultCategory} from "./services/categories.service.js";
+import {ConfigError, describeConfig, hasCloudinary, loadConfig, toRoutersOptions, toServerOptions, type AppConfig} from "./config.js";
+import CloudinaryAvatarStorage from "./storage/cloudinary.storage.js";
+import LocalAvatarStorage from "./storage/local.storage.js";
+import EventStreamHub from "./realtime/eventStreamHub.js";
+import {logger} from "./utils/logger.js";
 
 
-const PORT = Number(process.env.PORT) || 3000;
-const TRUST_PROXY =
-    process.env.TRUST_PROXY === 'true'
-        ? true
-        : process.env.TRUST_PROXY === 'false'
-            ? false
-            : process.env.TRUST_PROXY || 'loopback';
-
-const agoraServer = new AgoraDigApp(buildRouters(), {
-    jsonLimit: process.env.JSON_LIMIT || '1mb',
-    rateLimit: {
-        windowMs: Number(process.env.RATE_WINDOW_MS) || 60_000,
-        max: Number(process.env.RATE_MAX) || 100,
-    },
-    helmet: {
-        contentSecurityPolicy: {
-            useDefaults: true,
-            directives: {
-                "default-src": ["'self'"],
-                "img-src": ["'self'", "data:"],
-                "object-src": ["'none'"],
-                "base-uri": ["'self'"],
-                "frame-ancestors": ["'none'"],
-            },
-        },
-    },
-    health: { enabled: true, path: '/healthz', readyPath: '/readyz' },
-    trustProxy: TRUST_PROXY,
-    gracefulShutdownMs: Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10_000,
-});
+let config: AppConfig;
+try {
+    config = loadConfig();
+} catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+}
+
+if (process.argv.includes('--print-config')) {
+    console.log(describeConfig(config));
+    process.exit(0);
+}
+
+const avatarStorage = hasCloudinary(config)
+    ? new CloudinaryAvatarStorage({
+        cloudName: config.cloudinaryCloudName,
+        apiKey: config.cloudinaryApiKey,
+        apiSecret: config.cloudinaryApiSecret,
+    })
+    : new LocalAvatarStorage({ rootDir: config.uploadsDir });
+
+const eventStreams = new EventStreamHub({ maxClients: config.sseMaxClients, maxClientsPerIp: config.sseMaxClientsPerIp });
+
+const sessionStore = MongoStore.create({ mongoUrl: config.sessionStoreUri ?? config.mongodbUri, stringify: false });
+
+const agoraServer = new AgoraDigApp(buildRouters(toRoutersOptions(config, { avatarStorage, eventStreams })), toServerOptions(config, {
+    avatarStorage,
+    eventStreams,
+    sessionStore,
+    publicDir: fileURLToPath(new URL('../../public/', import.meta.url)),
+}));
+
+agoraServer
+    .registerReadinessCheck(mongoReadinessCheck())
+    .registerReadinessCheck(sessionStoreReadinessCheck(sessionStore))
+    // Without avatar storage only uploads fail, so the instance stays in rotation.
+    .registerReadinessCheck({ name: 'avatar-storage', critical: false, timeoutMs: 5_000, check: () => avatarStorage.checkReady() })
+    .onStop(disconnectMongo);
 
-agoraServer.start(PORT).catch((err) => {
-    console.error('Failed to start server:', err);
+connectMongo(config.mongodbUri).then(async () => {
+    const backfilled = await ensureDefaultCategory();
+    if (backfilled > 0) logger.info('Assigned the default category to existing messages', { count: backfilled });
+    await agoraServer.start(config.port);
+}).catch((err) => {
+    logger.error('Failed to start server', { err });
     process.exit(1);
 });
 
-export default agoraServer;
\ No newline at end of file
+export default agoraServer;
@@ -0,0 +1,18 @@
+export type AvatarVariant = { size: number; buffer: Buffer };
+
+export type StoredAvatar = { key: string; urls: Record<number, string> };
+
+export interface AvatarStorage {
+    readonly name: string;
+    /** Directory the app must serve statically for the stored URLs to resolve, if any. */
+    readonly publicMount?: { basePath: string; dir: string };
+
+    save(key: string, variants: AvatarVariant[]): Promise<StoredAvatar>;
+    remove(key: string): Promise<void>;
+    /** Rejects when avatars could not be stored right now; used by the readiness probe. */
+    checkReady(): Promise<void>;
+}
+
+export function isValidAvatarKey(key: string) {
+    return /^[a-zA-Z0-9_-]{8,64}$/.test(key);
+}
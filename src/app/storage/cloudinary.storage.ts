@@ -0,0 +1,60 @@
+import {v2 as cloudinary, type UploadApiResponse} from 'cloudinary';
+import {isValidAvatarKey, type AvatarStorage, type AvatarVariant} from './avatar.storage.js';
+
+// The Admin API is rate limited per hour, so readiness probes reuse a recent success instead of calling it every time.
+const READY_CACHE_MS = 5 * 60_000;
+
+export type CloudinaryAvatarStorageOptions = {
+    cloudName: string;
+    apiKey: string;
+    apiSecret: string;
+    folder?: string;
+};
+
+export default class CloudinaryAvatarStorage implements AvatarStorage {
+    readonly name = 'cloudinary';
+    private readonly folder: string;
+    private reachableAt = 0;
+
+    constructor(options: CloudinaryAvatarStorageOptions) {
+        cloudinary.config({
+            cloud_name: options.cloudName,
+            api_key: options.apiKey,
+            api_secret: options.apiSecret,
+            secure: true,
+        });
+        this.folder = options.folder ?? 'agoradig/avatars';
+    }
+
+    async save(key: string, variants: AvatarVariant[]) {
+        if (!isValidAvatarKey(key)) throw new Error(`Invalid avatar key: ${key}`);
+
+        const urls: Record<number, string> = {};
+        for (const { size, buffer } of variants) {
+            const result = await this.upload(`${key}-${size}`, buffer);
+            urls[size] = result.secure_url;
+        }
+        return { key, urls };
+    }
+
+    async remove(key: string) {
+        if (!isValidAvatarKey(key)) return;
+        await cloudinary.api.delete_resources_by_prefix(`${this.folder}/${key}-`);
+    }
+
+    async checkReady() {
+        if (Date.now() - this.reachableAt < READY_CACHE_MS) return;
+        await cloudinary.api.usage();
+        this.reachableAt = Date.now();
+    }
+
+    private upload(publicId: string, buffer: Buffer) {
+        return new Promise<UploadApiResponse>((resolve, reject) => {
+            const stream = cloudinary.uploader.upload_stream(
+                { folder: this.folder, public_id: publicId, resource_type: 'image', format: 'webp', overwrite: true },
+                (err, result) => (err || !result ? reject(err ?? new Error('Empty Cloudinary response')) : resolve(result)),
+            );
+            stream.end(buffer);
+        });
+    }
+}
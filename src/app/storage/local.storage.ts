@@ -0,0 +1,45 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {isValidAvatarKey, type AvatarStorage, type AvatarVariant} from './avatar.storage.js';
+
+export type LocalAvatarStorageOptions = { rootDir?: string; basePath?: string };
+
+export default class LocalAvatarStorage implements AvatarStorage {
+    readonly name = 'local';
+    readonly publicMount: { basePath: string; dir: string };
+    private readonly avatarsDir: string;
+
+    constructor(options: LocalAvatarStorageOptions = {}) {
+        const rootDir = path.resolve(options.rootDir ?? 'uploads');
+        const basePath = options.basePath ?? '/uploads';
+        this.publicMount = { basePath, dir: rootDir };
+        this.avatarsDir = path.join(rootDir, 'avatars');
+    }
+
+    async save(key: string, variants: AvatarVariant[]) {
+        if (!isValidAvatarKey(key)) throw new Error(`Invalid avatar key: ${key}`);
+        await fs.mkdir(this.avatarsDir, { recursive: true });
+
+        const urls: Record<number, string> = {};
+        for (const { size, buffer } of variants) {
+            const fileName = `${key}-${size}.webp`;
+            await fs.writeFile(path.join(this.avatarsDir, fileName), buffer);
+            urls[size] = `${this.publicMount.basePath}/avatars/${fileName}`;
+        }
+        return { key, urls };
+    }
+
+    async checkReady() {
+        await fs.mkdir(this.avatarsDir, { recursive: true });
+        await fs.access(this.avatarsDir, fs.constants.W_OK);
+    }
+
+    async remove(key: string) {
+        if (!isValidAvatarKey(key)) return;
+
+        const files = await fs.readdir(this.avatarsDir).catch(() => [] as string[]);
+        await Promise.all(files
+            .filter((file) => file.startsWith(`${key}-`))
+            .map((file) => fs.rm(path.join(this.avatarsDir, file), { force: true })));
+    }
+}
@@ -0,0 +1,19 @@
+import type {UserDocument} from '../models/user.model.ts';
+
+declare module 'express-session' {
+    interface SessionData {
+        userId?: string;
+        sessionVersion?: number;
+    }
+}
+
+declare global {
+    namespace Express {
+        interface Request {
+            id?: string;
+            currentUser?: UserDocument | null;
+        }
+    }
+}
+
+export {};
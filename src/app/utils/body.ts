@@ -0,0 +1,6 @@
+export type RequestBody = Record<string, unknown> | undefined;
+
+export function stringField(body: RequestBody, name: string) {
+    const value = body?.[name];
+    return typeof value === 'string' ? value.trim() : '';
+}
@@ -0,0 +1,43 @@
+export type DiffPart = { type: 'equal' | 'added' | 'removed'; text: string };
+
+function tokenize(text: string) {
+    return text.split(/(\s+)/).filter(Boolean);
+}
+
+function pushPart(parts: DiffPart[], type: DiffPart['type'], text: string) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+}
+
+export function diffWords(before: string, after: string): DiffPart[] {
+    const a = tokenize(before);
+    const b = tokenize(after);
+
+    // Longest-common-subsequence table over whitespace-preserving tokens, filled from the end.
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts: DiffPart[] = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            pushPart(parts, 'equal', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            pushPart(parts, 'removed', a[i++]);
+        } else {
+            pushPart(parts, 'added', b[j++]);
+        }
+    }
+    while (i < a.length) pushPart(parts, 'removed', a[i++]);
+    while (j < b.length) pushPart(parts, 'added', b[j++]);
+
+    return parts;
+}
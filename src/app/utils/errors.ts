@@ -0,0 +1,3 @@
+export function isDuplicateKeyError(err: unknown): err is { code: number; keyPattern?: Record<string, unknown> } {
+    return typeof err === 'object' && err !== null && (err as { code?: unknown }).code === 11000;
+}
@@ -0,0 +1,14 @@
+const MAX_HASHTAGS = 10;
+const MAX_HASHTAG_LENGTH = 30;
+
+export function parseHashtags(input: unknown): string[] {
+    const raw = Array.isArray(input) ? input.join(' ') : typeof input === 'string' ? input : '';
+
+    const tags = raw
+        .split(/[\s,]+/)
+        .map((tag) => tag.replace(/^#+/, '').toLowerCase())
+        .filter((tag) => /^[\p{L}\p{N}_]+$/u.test(tag))
+        .map((tag) => tag.slice(0, MAX_HASHTAG_LENGTH));
+
+    return [...new Set(tags)].slice(0, MAX_HASHTAGS);
+}
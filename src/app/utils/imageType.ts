@@ -0,0 +1,19 @@
+export type ImageType = 'png' | 'jpeg' | 'webp' | 'gif';
+
+const SIGNATURES: { type: ImageType; offset: number; bytes: number[] }[] = [
+    { type: 'png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { type: 'jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+    { type: 'gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+    { type: 'webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+];
+
+export function detectImageType(buffer: Buffer): ImageType | null {
+    const isRiff = buffer.subarray(0, 4).toString('ascii') === 'RIFF';
+
+    for (const { type, offset, bytes } of SIGNATURES) {
+        if (type === 'webp' && !isRiff) continue;
+        if (buffer.length < offset + bytes.length) continue;
+        if (bytes.every((byte, i) => buffer[offset + i] === byte)) return type;
+    }
+    return null;
+}
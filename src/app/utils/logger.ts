@@ -0,0 +1,67 @@
+import {getRequestId} from './requestContext.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'] as const;
+export const LOG_FORMATS = ['json', 'pretty'] as const;
+
+export type LogLevel = typeof LOG_LEVELS[number];
+export type LogFormat = typeof LOG_FORMATS[number];
+export type LogFields = Record<string, unknown>;
+export type LoggerOptions = { level?: LogLevel; format?: LogFormat };
+
+function serializeError(err: Error) {
+    return { name: err.name, message: err.message, stack: err.stack };
+}
+
+// Errors have no enumerable own properties, so JSON.stringify would print them as `{}`.
+function toSerializable(fields: LogFields) {
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+        [key, value instanceof Error ? serializeError(value) : value]));
+}
+
+/**
+ * Line-oriented logger. Every line written while a request is being handled carries its
+ * `requestId`, so service code can log without threading the request through.
+ */
+export class Logger {
+    private level: LogLevel;
+    private format: LogFormat;
+
+    constructor(options: LoggerOptions = {}) {
+        this.level = options.level ?? 'info';
+        this.format = options.format ?? 'json';
+    }
+
+    configure(options: LoggerOptions) {
+        this.level = options.level ?? this.level;
+        this.format = options.format ?? this.format;
+    }
+
+    isEnabled(level: LogLevel) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    }
+
+    debug(message: string, fields?: LogFields) { this.write('debug', message, fields); }
+    info(message: string, fields?: LogFields) { this.write('info', message, fields); }
+    warn(message: string, fields?: LogFields) { this.write('warn', message, fields); }
+    error(message: string, fields?: LogFields) { this.write('error', message, fields); }
+
+    private write(level: LogLevel, message: string, fields: LogFields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const requestId = getRequestId();
+        const entry = { time: new Date().toISOString(), level, msg: message, ...(requestId && { requestId }), ...toSerializable(fields) };
+        const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+        stream.write(`${this.format === 'json' ? JSON.stringify(entry) : this.pretty(entry)}\n`);
+    }
+
+    private pretty({ time, level, msg, requestId, ...rest }: LogFields) {
+        // Serialized errors print their stack below the line; anything else thrown stays inline like other fields.
+        const stack = (rest.err as { stack?: unknown } | undefined)?.stack;
+        const fields = typeof stack === 'string' ? Object.fromEntries(Object.entries(rest).filter(([key]) => key !== 'err')) : rest;
+        const extra = Object.entries(fields).map(([key, value]) => ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`).join('');
+        const line = `${time} ${String(level).toUpperCase().padEnd(5)}${requestId ? ` [${requestId}]` : ''} ${msg}${extra}`;
+        return typeof stack === 'string' ? `${line}\n${stack}` : line;
+    }
+}
+
+export const logger = new Logger();
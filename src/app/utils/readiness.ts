@@ -0,0 +1,44 @@
+export type ReadinessCheck = {
+    name: string;
+    /** Resolves when the dependency is usable; any rejection marks the check as failed. */
+    check: () => Promise<unknown>;
+    timeoutMs?: number;
+    /** Critical checks take the instance out of rotation when they fail; the rest only show up in the report. Defaults to true. */
+    critical?: boolean;
+};
+
+export type ReadinessResult = {
+    status: 'ok' | 'failed' | 'timeout';
+    critical: boolean;
+    latencyMs: number;
+    error?: string;
+};
+
+const DEFAULT_TIMEOUT_MS = 2_000;
+
+async function runCheck({ check, timeoutMs = DEFAULT_TIMEOUT_MS, critical = true }: ReadinessCheck): Promise<ReadinessResult> {
+    const startedAt = performance.now();
+    let timer: NodeJS.Timeout | undefined;
+    const timeout = new Promise<'timeout'>((resolve) => {
+        timer = setTimeout(() => resolve('timeout'), timeoutMs);
+    });
+
+    const outcome = await Promise.race([
+        Promise.resolve().then(check).then(() => 'ok' as const, (err: unknown) => err),
+        timeout,
+    ]).finally(() => clearTimeout(timer));
+
+    const latencyMs = Math.round(performance.now() - startedAt);
+    if (outcome === 'ok') return { status: 'ok', critical, latencyMs };
+    if (outcome === 'timeout') return { status: 'timeout', critical, latencyMs, error: `No answer within ${timeoutMs}ms` };
+    return { status: 'failed', critical, latencyMs, error: outcome instanceof Error ? outcome.message : String(outcome) };
+}
+
+/** Runs every check concurrently; the instance is ready only if no critical check failed. */
+export async function runReadinessChecks(checks: Iterable<ReadinessCheck>) {
+    const list = [...checks];
+    const results = await Promise.all(list.map(runCheck));
+    const report = Object.fromEntries(list.map(({ name }, i) => [name, results[i]]));
+    const ready = results.every((result) => result.status === 'ok' || !result.critical);
+    return { ready, checks: report };
+}
@@ -0,0 +1,3 @@
+export function escapeRegex(input: string) {
+    return input.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
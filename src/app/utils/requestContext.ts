@@ -0,0 +1,14 @@
+import {AsyncLocalStorage} from 'node:async_hooks';
+
+export type RequestContext = { requestId: string };
+
+const storage = new AsyncLocalStorage<RequestContext>();
+
+export function runWithRequestContext<T>(context: RequestContext, fn: () => T) {
+    return storage.run(context, fn);
+}
+
+/** ID of the request being handled, or `undefined` outside a request (startup, timers, shutdown). */
+export function getRequestId() {
+    return storage.getStore()?.requestId;
+}